@@ -1,22 +1,184 @@
 import md5 from "md5";
 import * as path from 'path';
 import PDFDocument from "pdfkit";
+import QRCode from "qrcode";
+import * as fontkit from "fontkit";
+import bidiFactory from "bidi-js";
+import SVGtoPDF from "svg-to-pdfkit";
 import { readFileSync } from "fs";
 
-// set location for translations
+// set location for translations, currencies, countries, templates and the invoice schema
 const txLocation = path.resolve('json/invoiceTranslations.json');
+const currencyLocation = path.resolve('json/commonCurrencies.json');
+const countryLocation = path.resolve('json/countries.json');
+const templateLocation = path.resolve('json/layoutTemplates.json');
+const schemaLocation = path.resolve('json/invoiceSchema.json');
+
+// paper sizes in points, the templates are drawn for A4 and stretched to the other sizes
+const paperSizes = {
+    "A4": [595.28, 841.89],
+    "A5": [419.53, 595.28],
+    "LETTER": [612, 792],
+    "LEGAL": [612, 1008],
+};
+
+// color of regular text, headings, rules and footer follow the branding
+const textColor = "#444444";
+
+// languages written from right to left get a mirrored layout
+const rtlLocales = ["ar", "he", "fa", "ur"];
+const rtlCharacters = /[\u0590-\u08ff\ufb1d-\ufdff\ufe70-\ufeff]/;
+const bidi = bidiFactory();
+
+// the built-in fonts only have the characters of WinAnsiEncoding, Latin-1 and these
+const winAnsiCharacters = "€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ";
+
+// Factur-X / ZUGFeRD profiles, guideline id and relationship of the embedded xml
+const facturXProfiles = {
+    "MINIMUM": { id: "urn:factur-x.eu:1p0:minimum", relationship: "Data" },
+    "BASIC": { id: "urn:cen.eu:en16931:2017#compliant#urn:factur-x.eu:1p0:basic", relationship: "Alternative" },
+    "EN 16931": { id: "urn:cen.eu:en16931:2017", relationship: "Alternative" },
+};
+
+// UN/ECE Recommendation 20 codes of common units, C62 ("one") for everything else
+const unitCodes = {
+    "h": "HUR",
+    "hour": "HUR",
+    "hours": "HUR",
+    "day": "DAY",
+    "days": "DAY",
+    "pcs": "H87",
+    "piece": "H87",
+    "kg": "KGM",
+    "g": "GRM",
+    "m": "MTR",
+    "km": "KMT",
+    "l": "LTR",
+    "month": "MON",
+    "months": "MON",
+};
+
+// lengths of IBANs per country, from the SWIFT IBAN registry
+const ibanLengths = {
+    "AD": 24, "AE": 23, "AL": 28, "AT": 20, "AZ": 28, "BA": 20, "BE": 16, "BG": 22, "BH": 22, "BI": 27,
+    "BR": 29, "BY": 28, "CH": 21, "CR": 22, "CY": 28, "CZ": 24, "DE": 22, "DJ": 27, "DK": 18, "DO": 28,
+    "EE": 20, "EG": 29, "ES": 24, "FI": 18, "FK": 18, "FO": 18, "FR": 27, "GB": 22, "GE": 22, "GI": 23,
+    "GL": 18, "GR": 27, "GT": 28, "HN": 28, "HR": 21, "HU": 28, "IE": 22, "IL": 23, "IQ": 23, "IS": 26,
+    "IT": 27, "JO": 30, "KW": 30, "KZ": 20, "LB": 28, "LC": 32, "LI": 21, "LT": 20, "LU": 20, "LV": 21,
+    "LY": 25, "MC": 27, "MD": 24, "ME": 22, "MK": 19, "MN": 20, "MR": 27, "MT": 31, "MU": 30, "NI": 28,
+    "NL": 18, "NO": 15, "OM": 23, "PK": 24, "PL": 28, "PS": 29, "PT": 25, "QA": 29, "RO": 24, "RS": 22,
+    "RU": 33, "SA": 24, "SC": 31, "SD": 18, "SE": 24, "SI": 19, "SK": 24, "SM": 27, "SO": 23, "ST": 25,
+    "SV": 28, "TL": 23, "TN": 24, "TR": 26, "UA": 29, "VA": 22, "VG": 24, "XK": 20, "YE": 30,
+};
+
+// formats of VAT IDs without the country prefix, EL is Greece and XI Northern Ireland
+const vatIdFormats = {
+    "AT": /^U\d{8}$/,
+    "BE": /^[01]\d{9}$/,
+    "BG": /^\d{9,10}$/,
+    "CY": /^[013459]\d{7}[A-Z]$/,
+    "CZ": /^\d{8,10}$/,
+    "DE": /^[1-9]\d{8}$/,
+    "DK": /^[1-9]\d{7}$/,
+    "EE": /^10\d{7}$/,
+    "EL": /^\d{9}$/,
+    "ES": /^[0-9A-Z]\d{7}[0-9A-Z]$/,
+    "FI": /^\d{8}$/,
+    "FR": /^[0-9A-HJ-NP-Z]{2}\d{9}$/,
+    "HR": /^\d{11}$/,
+    "HU": /^\d{8}$/,
+    "IE": /^(\d{7}[A-W][A-IW]?|\d[A-Z+*]\d{5}[A-W])$/,
+    "IT": /^\d{11}$/,
+    "LT": /^(\d{7}1\d|\d{10}1\d)$/,
+    "LU": /^\d{8}$/,
+    "LV": /^\d{11}$/,
+    "MT": /^[1-9]\d{7}$/,
+    "NL": /^\d{9}B\d{2}$/,
+    "PL": /^\d{10}$/,
+    "PT": /^[1-9]\d{8}$/,
+    "RO": /^[1-9]\d{1,9}$/,
+    "SE": /^\d{10}01$/,
+    "SI": /^[1-9]\d{7}$/,
+    "SK": /^[1-9]\d[2-47-9]\d{7}$/,
+    "XI": /^(\d{9}|\d{12}|GD[0-4]\d{2}|HA[5-9]\d{2})$/,
+    "GB": /^(\d{9}|\d{12}|GD[0-4]\d{2}|HA[5-9]\d{2})$/,
+    "CH": /^E\d{9}(MWST|TVA|IVA|TPV)?$/,
+    "NO": /^\d{9}(MVA)?$/,
+};
+
+// checks VAT IDs online with the VIES service of the EU, see setVatIdVerifier()
+const viesVerifier = async (vatId) => {
+    const country = vatId.substring(0, 2);
+    if (["GB", "CH", "NO"].includes(country)) {
+        return { valid: null };
+    }
+
+    const response = await fetch(`https://ec.europa.eu/taxation_customs/vies/rest-api/ms/${country}/vat/${vatId.substring(2)}`);
+    if (!response.ok) {
+        throw new Error(`VIES is not available (HTTP ${response.status}), please try again later`);
+    }
+    const result = await response.json();
+    if (result.userError && !["VALID", "INVALID"].includes(result.userError)) {
+        throw new Error(`VIES could not check ${vatId}: ${result.userError}`);
+    }
+
+    return { valid: result.isValid, name: result.name, address: result.address };
+};
+
+// banks in these places have BICs of their own country, but IBANs of GB or FR
+const bicCountries = {
+    "GB": ["JE", "GG", "IM"],
+    "FR": ["GF", "GP", "MQ", "RE", "YT", "PM", "BL", "MF", "NC", "PF", "WF", "MC"],
+};
+
+// tax treatments of setTaxTreatment(), all but "domestic" are invoiced without VAT:
+// VAT category (UNCL5305) and exemption reason code (VATEX) for xml, the legal notice printed below the totals
+// and the VAT IDs the invoice needs
+const taxTreatments = {
+    "domestic": {},
+    "reverse-charge": { category: "AE", exemptionCode: "VATEX-EU-AE", notice: "ReverseChargeText", vatIds: ["seller", "buyer"] },
+    "intra-community": { category: "K", exemptionCode: "VATEX-EU-IC", notice: "IntraCommunityText", vatIds: ["seller", "buyer"] },
+    "export": { category: "G", exemptionCode: "VATEX-EU-G", notice: "ExportText", vatIds: ["seller"] },
+    "small-business": {
+        category: "E", notice: "SmallBusinessText", vatIds: [],
+        // legal wording of the seller's country: § 19 UStG, § 6 Abs. 1 Z 27 UStG, art. 293 B CGI
+        countryNotices: { "DE": "SmallBusinessTextDE", "AT": "SmallBusinessTextAT", "FR": "SmallBusinessTextFR" },
+    },
+};
 
 
 const Invoice = class {
     #netEqualsGross = true;
     #products = [];
-    #footerText = "";
+    #discounts = [];
+    // text of setFooter(), the standard text before it depends on the invoice when it is generated
+    #footerText;
+    #taxTreatment = "domestic";
     #currency = undefined;
-    #paid = 0;
-    #netSum = 0;
-    #grossSum = 0;
+    #payments = [];
 
+    // rounding of amounts, see setRounding()
+    #roundingMode = "line";
+    #roundingMethod = "half-up";
+
+    // branding, see setBranding()
+    #logo;
     #accentColor = '#444444';
+    #secondaryColor = '#aaaaaa';
+
+    // layout template, see setTemplate(), and paper, see setPaper()
+    #template = JSON.parse(readFileSync(templateLocation)).classic;
+    #paperSize = "A4";
+    #margins = {};
+    // template fitted to the paper, while the PDF is generated
+    #layout;
+
+    // fonts by registered name ("Regular", "Bold", "Fallback0", ...), see setFonts()
+    #fonts = {};
+    #fontStyle = "Regular";
+
+    // online check of VAT IDs, see setVatIdVerifier()
+    #vatIdVerifier = viesVerifier;
 
     // payment information
     #iban;
@@ -58,6 +220,42 @@ const Invoice = class {
         this.businessCountry = country;
     }
 
+    /**
+     * Set contact of seller, required for XRechnung
+     * @param {String} name Name of contact person
+     * @param {String} phone Phone number
+     * @param {String} email E-mail address, used as electronic address of the seller
+     */
+    setSellerContact(name, phone, email) {
+        this.businessContactName = name;
+        this.businessPhone = phone;
+        this.businessEmail = email;
+    }
+
+    /**
+     * Set reference of buyer, for XRechnung the Leitweg-ID of the public authority
+     * @param {String} reference Buyer reference ("04011000-12345-67", ...)
+     */
+    setBuyerReference(reference) {
+        this.buyerReference = reference;
+    }
+
+    /**
+     * Set the tax treatment of the invoice, its products need to be without VAT for all but "domestic".
+     * The buyer's and the seller's VAT ID are required as the law asks for them,
+     * and the legal notice of the treatment is printed below the totals.
+     * @param {String} treatment "domestic" (default), "reverse-charge" (services to businesses in other EU countries),
+     * "intra-community" (supply of goods to businesses in other EU countries), "export" (outside the EU)
+     * or "small-business" (exempt small business)
+     */
+    setTaxTreatment(treatment) {
+        if (!Object.hasOwn(taxTreatments, treatment)) {
+            throw new Error(`Unknown tax treatment ${treatment}, expected one of ${Object.keys(taxTreatments).join(", ")}`);
+        }
+
+        this.#taxTreatment = treatment;
+    }
+
     /**
      * Set Information of buyer
      * @param {String} name Name (of client)
@@ -65,13 +263,20 @@ const Invoice = class {
      * @param {String} zip Zip-Code
      * @param {String} city City
      * @param {String} country Country
+     * @param {String} vatId VAT ID of the client, optional, for business clients
      */
-    setBuyer(name, street, zip, city, country) {
+    setBuyer(name, street, zip, city, country, vatId) {
+        const error = vatId ? Invoice.#checkVatId(vatId) : undefined;
+        if (error) {
+            throw new Error(error);
+        }
+
         this.clientName = name;
         this.clientStreetAddress = street;
         this.clientZip = zip;
         this.clientCity = city;
         this.clientCountry = country;
+        this.clientVatId = vatId;
     }
 
     /**
@@ -105,7 +310,7 @@ const Invoice = class {
      */
     setCurrency(currency) {
         currency = currency.toUpperCase();
-        const location = path.resolve(txLocation); // see top of file
+        const location = path.resolve(currencyLocation); // see top of file
         const commonCurrenices = JSON.parse(readFileSync(location));
 
         this.#currency = commonCurrenices[currency];
@@ -116,57 +321,210 @@ const Invoice = class {
     }
 
     /**
-     * Add text to footer
-     * @param {String} text Text to add to footer 
+     * Set rounding of amounts.
+     * All amounts are calculated in minor units (cents) of the currency.
+     * @param {String} mode "line" rounds every line total, "total" only rounds the sums
+     * @param {String} method "half-up" or "half-even" (banker's rounding)
      */
-    setFooter(text) {
-        if (this.#netEqualsGross === true) {
-            this.#footerText = this.#translate('NetEqualsGrossText');
+    setRounding(mode = "line", method = "half-up") {
+        if (!["line", "total"].includes(mode)) {
+            throw new Error(`Unknown rounding mode "${mode}", use "line" or "total"`);
+        }
+        if (!["half-up", "half-even"].includes(method)) {
+            throw new Error(`Unknown rounding method "${method}", use "half-up" or "half-even"`);
+        }
+        this.#roundingMode = mode;
+        this.#roundingMethod = method;
+    }
+
+    /**
+     * Set logo and colors of the invoice.
+     * The logo replaces the business name in the header, the accent color is used for
+     * headings, the table header and the footer, the secondary color for horizontal rules.
+     * @param {Buffer | String} logo PNG or JPEG as Buffer or data URL, or SVG markup (null for no logo)
+     * @param {String} accentColor Accent color, for example "#0a5c8a"
+     * @param {String} secondaryColor Secondary color, for example "#9cc3d9"
+     */
+    setBranding(logo, accentColor = '#444444', secondaryColor = '#aaaaaa') {
+        this.#checkColor(accentColor);
+        this.#checkColor(secondaryColor);
+
+        this.#logo = logo ? Invoice.#parseLogo(logo) : undefined;
+        this.#accentColor = accentColor;
+        this.#secondaryColor = secondaryColor;
+    }
+
+    /**
+     * Set the layout template: "classic" (default), "modern" or "minimal" from json/layoutTemplates.json,
+     * or a template of your own in the same format, missing parts are taken from "classic".
+     * Positions are in points on the page, the content of a page stays between page.top and page.bottom, the footer is below.
+     * @param {String | Object} template Name of template or template
+     */
+    setTemplate(template) {
+        const templates = JSON.parse(readFileSync(templateLocation));
+
+        if (typeof template === "string") {
+            if (!templates[template]) {
+                throw new Error(`Unable to find template ${template}`);
+            }
+            this.#template = templates[template];
         }
         else {
-            this.#footerText = this.#translate('DefaultFooterText');
+            this.#template = this.#mergeTemplate(templates.classic, template);
+        }
+    }
+
+    /**
+     * Set the paper size and the margins of the content.
+     * The footer is printed in the bottom margin, margins which are not set are taken from the template.
+     * @param {String | Array<Number>} size "A4", "A5", "LETTER", "LEGAL" or [width, height] in points
+     * @param {Object} margins Margins in points, for example { left: 72, right: 72 } (top, right, bottom, left)
+     */
+    setPaper(size = "A4", margins = {}) {
+        const isDimension = (value) => typeof value === "number" && value > 0;
+
+        if (Array.isArray(size) ? !(size.length === 2 && size.every(isDimension)) : !paperSizes[String(size).toUpperCase()]) {
+            throw new Error(`Unknown paper size ${size}, please use ${Object.keys(paperSizes).join(", ")} or [width, height]`);
+        }
+        Object.entries(margins).forEach(([side, margin]) => {
+            if (!["top", "right", "bottom", "left"].includes(side) || typeof margin !== "number" || margin < 0) {
+                throw new Error(`Invalid margin ${side}: ${margin}`);
+            }
+        });
+
+        this.#paperSize = Array.isArray(size) ? size : String(size).toUpperCase();
+        this.#margins = margins;
+    }
+
+    /**
+     * Set TrueType or OpenType fonts for all text of the invoice, instead of the built-in Helvetica,
+     * which only has Western European characters.
+     * Characters missing in these fonts are written with the first fallback font that has them,
+     * for example a CJK font for Chinese or Japanese client names.
+     * @param {String | Buffer} regular Path or content of the regular font, null for Helvetica
+     * @param {String | Buffer} bold Path or content of the bold font, the regular font if not set
+     * @param {Array<String | Buffer>} fallbacks Paths or contents of fallback fonts, in order of preference
+     */
+    setFonts(regular, bold = regular, fallbacks = []) {
+        const fonts = {};
+        if (regular) {
+            fonts.Regular = this.#loadFont(regular);
         }
+        if (bold) {
+            fonts.Bold = this.#loadFont(bold);
+        }
+        fallbacks.forEach((fallback, index) => {
+            fonts[`Fallback${index}`] = this.#loadFont(fallback);
+        });
 
-        this.#footerText += text;
+        this.#fonts = fonts;
+    }
+
+    /**
+     * Add text to footer, after the standard text which is chosen when the invoice is generated
+     * @param {String} text Text to add to footer 
+     */
+    setFooter(text) {
+        this.#footerText = text;
     }
 
     /**
-     * Set payment information
+     * Set payment information.
+     * IBAN (length and checksum) and BIC (structure and country of the IBAN) are checked,
+     * the IBAN is printed in groups of four.
      * @param {String} iban IBAN 
      * @param {String} name Account Name
-     * @param {String} bic BIC 
+     * @param {String} bic BIC, optional
      * @param {String} bankName Name of bank
      */
     setPaymentInfo(iban, name, bic, bankName, addToFooter = true) {
         if (this.#products.length === 0) {
             throw new Error("Please add products before setting PaymentInfo");
         }
-        this.#iban = iban;
+        const error = Invoice.#checkIBAN(iban) ?? (bic ? Invoice.#checkBIC(bic, iban) : undefined);
+        if (error) {
+            throw new Error(error);
+        }
+
+        this.#iban = String(iban).replace(/\s/g, "").toUpperCase().replace(/(.{4})/g, "$1 ").trim();
         this.#accountName = name;
-        this.#bic = bic;
+        this.#bic = bic ? String(bic).replace(/\s/g, "").toUpperCase() : bic;
         this.#bankName = bankName;
 
         if (addToFooter) {
-            this.setFooter(`<br>${this.#accountName} - ${this.#iban} - ${this.#bankName} - ${this.#bic}`);
+            this.setFooter(`<br>${[this.#accountName, this.#iban, this.#bankName, this.#bic].filter(Boolean).join(" - ")}`);
+        }
+    }
+
+    /**
+     * Register a (partial) payment of the invoice.
+     * The invoice is marked as paid once the balance due reaches zero.
+     * @param {Date} date Date of payment
+     * @param {Number} amount Paid amount
+     * @param {String} method Payment method ("Bank transfer", "Cash", ...)
+     * @param {String} reference Reference of payment, for example transaction id
+     */
+    addPayment(date, amount, method = "", reference = "") {
+        if (!(date instanceof Date) || isNaN(date)) {
+            throw new Error("Please supply a valid date obj. to addPayment()");
+        }
+        amount = Number(amount);
+        if (!Number.isFinite(amount) || amount <= 0) {
+            throw new Error("Amount of payment has to be a positive number");
         }
+
+        this.#payments.push({
+            date: date,
+            amount: amount,
+            method: method,
+            reference: reference,
+        });
+    }
+
+    /**
+     * Check if the invoice is fully paid. Requires a currency to be set.
+     * @returns {Boolean} true if the balance due is zero (or less)
+     */
+    isPaid() {
+        return this.#calculateTotals().balanceDue <= 0;
     }
 
     /**
      * Adds product to products, and orders it afterwards.
      * Not super efficient, but everything is always in order.
+     * Prices are per unit, the line total is unit price * quantity.
+     * Pass either netPrice or grossPrice as null to calculate it from the other price and the tax-rate.
+     * If both are passed, they have to match the tax-rate.
      * @param {String} title Title of product
-     * @param {Number} netPrice Net price of product
+     * @param {Number | null} netPrice Net price of one unit
      * @param {Number} vat Tax-rate of product
-     * @param {Number} grossPrice Gross price of product
+     * @param {Number | null} grossPrice Gross price of one unit
+     * @param {Number} quantity Quantity, may be fractional (7.5 hours)
+     * @param {String} unit Unit of quantity ("h", "pcs", "kg", "day", ...)
+     * @param {Object} discount Optional discount, { percent: 10 } or { amount: 5 } (net amount per unit)
      */
-    addProduct(title, netPrice, vat, grossPrice) {
+    addProduct(title, netPrice, vat, grossPrice, quantity = 1, unit = "", discount = null) {
         vat = Number(vat);
+        quantity = Number(quantity);
+        if (!Number.isFinite(vat) || vat < 0) {
+            throw new Error(`Tax-rate of product "${title}" has to be a number >= 0`);
+        }
+        if (!Number.isFinite(quantity) || quantity <= 0) {
+            throw new Error("Quantity of product has to be a positive number");
+        }
+        [netPrice, grossPrice] = this.#completePrices(title, netPrice, vat, grossPrice);
+        if (discount !== null) {
+            discount = this.#checkDiscount(title, discount);
+            if (discount.amount > netPrice) {
+                throw new Error(`Discount of product "${title}" is higher than its net price`);
+            }
+        }
         if (vat > 0 && this.#netEqualsGross) {
             this.#netEqualsGross = false; // it is set to true, and potentially changes value to false once in a lifetime :P
         }
 
-        // calculate md5 string as id
-        const hash = md5(`${title}/${vat}/${netPrice}`);
+        // calculate md5 string as id, same products get merged into one line
+        const hash = md5(`${title}/${vat}/${netPrice}/${unit}/${JSON.stringify(discount)}`);
 
         this.#products.push({
             md5: hash,
@@ -174,224 +532,2789 @@ const Invoice = class {
             "tax-rate": vat,
             netPrice: netPrice,
             grossPrice: grossPrice,
+            quantity: quantity,
+            unit: unit,
+            discount: discount,
         });
-
-        this.#grossSum += grossPrice;
-        this.#netSum += netPrice;
     }
 
     /**
-     * Run checks before generating pdf
+     * Add a discount on the whole invoice.
+     * The discount is split across the tax rates, proportional to their net amounts.
+     * Discounts are applied in the order they are added.
+     * @param {String} title Title of discount ("Project discount", "Goodwill", ...)
+     * @param {Object} discount { percent: 10 } or { amount: 50 } (net amount)
      */
-    #runChecks() {
-        if (!this.#netEqualsGross && !this.vatId) {
-            throw new Error("This invoice contains VAT, please include a valid VatID!");
-        }
+    addDiscount(title, discount) {
+        this.#discounts.push({
+            description: title,
+            ...this.#checkDiscount(title, discount),
+        });
     }
 
-    #filterProducts() {
-        // categorize products
-        this.#products.forEach((product) => {
-            let quantity = 0;
-            this.#products.forEach((product2) => {
-                if (product.md5 === product2.md5) {
-                    quantity++;
-                }
-            });
-            product.quantity = quantity;
-        });
+    /**
+     * Get the invoice as plain object for JSON.stringify(), to store it and restore it with Invoice.fromJSON().
+     * Schema version 1, see README: dates are ISO strings, products are listed as they were added,
+     * logo and fonts are embedded (data URL or SVG markup, Base64 fonts), the template is stored completely.
+     * @returns {Object} Invoice data
+     */
+    toJSON() {
+        const logo = this.#logo?.type === "image"
+            ? `data:image/${this.#logo.data[0] === 0x89 ? "png" : "jpeg"};base64,${this.#logo.data.toString("base64")}`
+            : this.#logo?.data;
+        const font = (name) => this.#fonts[name] ? this.#fonts[name].data.toString("base64") : null;
+        // invalid dates are kept as they are, validate() reports them
+        const isoDate = (date) => isNaN(new Date(date ?? NaN)) ? date?.toString() : new Date(date).toISOString();
+        const fallbacks = Object.keys(this.#fonts).filter((name) => name.startsWith("Fallback")).map(font);
 
-        // remove duplicates from products array
-        this.#products = this.#products.filter((product, index, self) =>
-            index === self.findIndex((t) => (
-                t.md5 === product.md5
-            ))
-        );
+        return {
+            version: 1,
+            invoiceId: this.invoiceId,
+            invoiceDate: isoDate(this.invoiceDate),
+            invoiceDueDate: isoDate(this.invoiceDueDate),
+            vatId: this.vatId,
+            locale: this.locale,
+            seller: {
+                name: this.businessName,
+                street: this.businessStreetAddress,
+                zip: this.businessZip,
+                city: this.businessCity,
+                country: this.businessCountry,
+                contactName: this.businessContactName,
+                phone: this.businessPhone,
+                email: this.businessEmail,
+            },
+            buyer: {
+                name: this.clientName,
+                street: this.clientStreetAddress,
+                zip: this.clientZip,
+                city: this.clientCity,
+                country: this.clientCountry,
+                vatId: this.clientVatId,
+                reference: this.buyerReference,
+            },
+            currency: this.#currency ? this.#currency.code : null,
+            taxTreatment: this.#taxTreatment,
+            rounding: { mode: this.#roundingMode, method: this.#roundingMethod },
+            products: this.#products.map((product) => ({
+                title: product.description,
+                netPrice: product.netPrice,
+                vat: product["tax-rate"],
+                grossPrice: product.grossPrice,
+                quantity: product.quantity,
+                unit: product.unit,
+                discount: product.discount,
+            })),
+            discounts: this.#discounts.map(({ description, ...discount }) => ({ title: description, ...discount })),
+            payments: this.#payments.map((payment) => ({ ...payment, date: payment.date.toISOString() })),
+            paymentInfo: this.#iban === undefined ? null : {
+                iban: this.#iban,
+                name: this.#accountName,
+                bic: this.#bic,
+                bankName: this.#bankName,
+            },
+            footer: this.#footerText ?? null,
+            branding: { logo: logo ?? null, accentColor: this.#accentColor, secondaryColor: this.#secondaryColor },
+            template: this.#template,
+            paper: { size: this.#paperSize, margins: this.#margins },
+            fonts: Object.keys(this.#fonts).length === 0 ? null : { regular: font("Regular"), bold: font("Bold"), fallbacks: fallbacks },
+        };
     }
 
     /**
-     * Generate PDF.
-     * Call this function in the end of the object's lifecycle.
-     * @returns {String} Invoice as Base64 String
+     * Restore an invoice stored with toJSON(), or build one from data in the same schema.
+     * Only the parts marked as required in json/invoiceSchema.json are needed, throws if the data is invalid.
+     * @param {Object | String} json Invoice data or its JSON string
+     * @returns {Invoice} Invoice instance
      */
-    generatePDF() {
-        this.#runChecks();
-        this.#filterProducts();
+    static fromJSON(json) {
+        const data = typeof json === "string" ? JSON.parse(json) : json;
+        if (data?.version !== 1) {
+            throw new Error(`Unsupported invoice version ${data?.version}, expected 1`);
+        }
+        const errors = Invoice.validateJSON(data);
+        if (errors.length > 0) {
+            throw new Error(`Invalid invoice: ${errors.map((error) => error.message).join(", ")}`);
+        }
+        const { seller, buyer, paymentInfo, branding, paper, fonts } = data;
 
-        let doc = new PDFDocument({ size: "A4", margin: 50, compress: false });
+        const dueDate = data.invoiceDueDate === undefined ? undefined : new Date(data.invoiceDueDate);
+        const invoice = new Invoice(data.invoiceId, new Date(data.invoiceDate), dueDate, data.vatId, data.locale);
+        invoice.setSeller(seller.name, seller.street, seller.zip, seller.city, seller.country);
+        invoice.setSellerContact(seller.contactName, seller.phone, seller.email);
+        invoice.setBuyer(buyer.name, buyer.street, buyer.zip, buyer.city, buyer.country, buyer.vatId);
+        invoice.setBuyerReference(buyer.reference);
 
-        this.#generateHeader(doc);
-        this.#generateCustomerInformation(doc);
-        this.#generateInvoiceTable(doc);
-        this.#generateFooter(doc);
+        // the currency comes first, prices are checked with its decimal digits
+        invoice.setCurrency(data.currency);
+        invoice.setRounding(data.rounding?.mode, data.rounding?.method);
+        invoice.setTaxTreatment(data.taxTreatment ?? "domestic");
+        data.products.forEach((product) => {
+            invoice.addProduct(product.title, product.netPrice, product.vat, product.grossPrice, product.quantity, product.unit, product.discount ?? null);
+        });
+        (data.discounts ?? []).forEach(({ title, ...discount }) => invoice.addDiscount(title, discount));
+        (data.payments ?? []).forEach((payment) => invoice.addPayment(new Date(payment.date), payment.amount, payment.method, payment.reference));
 
-        // const qrCodeLocation = await this.#generatePaymentQR();
-        doc.end();
+        // the footer is stored on its own, including the line of the payment information
+        if (paymentInfo) {
+            invoice.setPaymentInfo(paymentInfo.iban, paymentInfo.name, paymentInfo.bic, paymentInfo.bankName, false);
+        }
+        if (typeof data.footer === "string") {
+            invoice.setFooter(data.footer);
+        }
+
+        if (branding) {
+            invoice.setBranding(branding.logo, branding.accentColor, branding.secondaryColor);
+        }
+        if (data.template) {
+            invoice.setTemplate(data.template);
+        }
+        if (paper) {
+            invoice.setPaper(paper.size, paper.margins);
+        }
+        if (fonts) {
+            const buffer = (font) => font ? Buffer.from(font, "base64") : null;
+            invoice.setFonts(buffer(fonts.regular), buffer(fonts.bold), (fonts.fallbacks ?? []).map(buffer));
+        }
 
-        return doc.read().toString("base64");
+        return invoice;
     }
 
     /**
-     * Internal method to generate Header
-     * @param {*} doc 
+     * Check the invoice, all problems are returned at once instead of failing on the first one while generating
+     * @returns {Array<Object>} Errors with path ("buyer.city", "products[0].netPrice", ...), code and message, empty if valid
      */
-    #generateHeader(doc) {
-        doc
-            // .image(invoice.imgBase64, 50, 45, { width: 50 })
-            .fillColor("#444444")
-            .fontSize(20)
-            .font("Helvetica-Bold")
-            .text(this.businessName, 50, 57)
-            .font("Helvetica")
-            .fontSize(10)
-            .text(this.businessName, 200, 50, { align: "right" })
-            .text(this.businessStreetAddress, 200, 65, { align: "right" })
-            .text(this.businessCity + " " + this.businessZip + ", " + this.businessCountry, 200, 80, { align: "right" })
-            .text(this.#translate("VatId") + ": " + this.vatId, 200, 95, { align: "right" })
-            .moveDown();
+    validate() {
+        return Invoice.validateJSON(this.toJSON());
     }
 
     /**
-     * Internal method to generate Customer Information
-     * @param {*} doc 
+     * Check invoice data against json/invoiceSchema.json, and the parts a schema can not check:
+     * known currency and locale, VAT IDs, IBAN and BIC, a VAT ID if VAT is charged, the requirements of the tax treatment
+     * and matching net and gross prices
+     * @param {Object | String} json Invoice data or its JSON string, see toJSON()
+     * @returns {Array<Object>} Errors with path ("buyer.city", "products[0].netPrice", ...), code and message, empty if valid
      */
-    #generateCustomerInformation(doc) {
-        doc
-            .fillColor("#444444")
-            .fontSize(20)
-            .text(this.#translate("Invoice"), 50, 160);
+    static validateJSON(json) {
+        let data = json;
+        if (typeof json === "string") {
+            try {
+                data = JSON.parse(json);
+            }
+            catch (error) {
+                return [{ path: "", code: "parse", message: `Invalid JSON: ${error.message}` }];
+            }
+        }
+        const schema = JSON.parse(readFileSync(schemaLocation));
+        const errors = Invoice.#checkSchema(schema, schema, data, "");
+        const error = (path, code, message) => errors.push({ path: path, code: code, message: message });
+        if (errors.some((error) => error.path === "")) {
+            return errors;
+        }
+
+        const currency = typeof data.currency === "string" ? JSON.parse(readFileSync(currencyLocation))[data.currency.toUpperCase()] : undefined;
+        if (typeof data.currency === "string" && currency === undefined) {
+            error("currency", "unknown-currency", `Unable to find currency ${data.currency}`);
+        }
+        if (typeof data.locale === "string" && JSON.parse(readFileSync(txLocation))[data.locale] === undefined) {
+            error("locale", "unknown-locale", `No translations for locale ${data.locale}`);
+        }
+        [["vatId", data.vatId], ["buyer.vatId", data.buyer?.vatId]].forEach(([path, vatId]) => {
+            if (typeof vatId === "string" && vatId !== "" && Invoice.#checkVatId(vatId)) {
+                error(path, "invalid-vat-id", Invoice.#checkVatId(vatId));
+            }
+        });
+        const paymentInfo = data.paymentInfo;
+        if (typeof data.branding?.logo === "string") {
+            try {
+                Invoice.#parseLogo(data.branding.logo);
+            }
+            catch (logoError) {
+                error("branding.logo", "invalid-logo", logoError.message);
+            }
+        }
+        if (typeof paymentInfo?.iban === "string" && Invoice.#checkIBAN(paymentInfo.iban)) {
+            error("paymentInfo.iban", "invalid-iban", Invoice.#checkIBAN(paymentInfo.iban));
+        }
+        else if (typeof paymentInfo?.bic === "string" && paymentInfo.bic !== "" && Invoice.#checkBIC(paymentInfo.bic, paymentInfo.iban)) {
+            error("paymentInfo.bic", "invalid-bic", Invoice.#checkBIC(paymentInfo.bic, paymentInfo.iban));
+        }
 
-        this.#generateHr(doc, 183);
+        if (!Array.isArray(data.products)) {
+            return errors;
+        }
+        if (data.products.some((product) => product?.vat > 0) && !data.vatId) {
+            error("vatId", "vat-id-required", "This invoice contains VAT, please include a valid VatID");
+        }
+        Invoice.#checkTaxTreatment(data.taxTreatment ?? "domestic", data.vatId, data.buyer?.vatId, data.products)
+            .filter((problem) => !errors.some((known) => known.path === problem.path && known.code === problem.code))
+            .forEach((problem) => errors.push(problem));
 
-        const customerInformationTop = 197;
+        // both prices may be rounded by half a minor unit (cent), like addProduct()
+        const unit = 10 ** -(currency ? currency.decimal_digits : 2);
+        data.products.forEach((product, index) => {
+            const hasNet = typeof product?.netPrice === "number";
+            const hasGross = typeof product?.grossPrice === "number";
+            if (product?.netPrice == null && product?.grossPrice == null) {
+                error(`products[${index}]`, "price-required", `products[${index}] needs a netPrice or a grossPrice`);
+                return;
+            }
+            // wrong types are reported by the schema
+            if (typeof product.vat !== "number" || (!hasNet && !hasGross)) {
+                return;
+            }
 
-        doc
-            .fontSize(10)
-            .text(this.#translate("InvoiceNr"), 50, customerInformationTop)
-            .font("Helvetica-Bold")
-            .text(this.invoiceId, 150, customerInformationTop)
-            .font("Helvetica")
-            .text(this.#translate("InvoiceDate"), 50, customerInformationTop + 15)
-            .text(this.formatDate(new Date(this.invoiceDate)), 150, customerInformationTop + 15)
-            .text(`${this.#translate("BalanceDue")}:`, 50, customerInformationTop + 30)
-            .text(
-                this.formatCurrency(this.#grossSum - this.#paid),
-                150,
-                customerInformationTop + 30
-            )
+            const factor = 1 + product.vat / 100;
+            if (hasNet && hasGross && Math.abs(product.netPrice * factor - product.grossPrice) > 0.5 * unit * (1 + factor) + 1e-9) {
+                error(`products[${index}].grossPrice`, "price-mismatch", `Gross price ${product.grossPrice} of product "${product.title}" does not match net price ${product.netPrice} with ${product.vat}% tax`);
+            }
+            const netPrice = hasNet ? product.netPrice : product.grossPrice / factor;
+            if (product.discount?.amount > netPrice) {
+                error(`products[${index}].discount.amount`, "discount-too-high", `Discount of product "${product.title}" is higher than its net price`);
+            }
+        });
 
-            .font("Helvetica-Bold")
-            .text(this.clientName, 300, customerInformationTop)
-            .font("Helvetica")
-            .text(this.clientStreetAddress, 300, customerInformationTop + 21)
-            .text(
-                this.clientZip +
-                ", " +
-                this.clientCity +
-                ", " +
-                this.clientCountry,
-                300,
-                customerInformationTop + 32
-            )
-            .moveDown();
+        // invoice discounts are taken from what earlier ones left, in minor units like #calculateTotals()
+        const minor = 10 ** (currency ? currency.decimal_digits : 2);
+        let base = 0;
+        for (const product of data.products) {
+            const factor = 1 + product?.vat / 100;
+            const netPrice = typeof product?.netPrice === "number" ? product.netPrice : product?.grossPrice / factor;
+            const quantity = product?.quantity ?? 1;
+            const discount = product?.discount?.percent ? netPrice * quantity * product.discount.percent / 100 : (product?.discount?.amount ?? 0) * quantity;
+            base += Math.round((netPrice * quantity - discount) * minor);
+        }
+        if (Number.isFinite(base) && Array.isArray(data.discounts)) {
+            data.discounts.forEach((discount, index) => {
+                const total = Math.round(discount?.percent ? base * discount.percent / 100 : (discount?.amount ?? 0) * minor);
+                if (total > base) {
+                    error(`discounts[${index}].amount`, "discount-too-high", `Discount "${discount.title}" is higher than the net sum of the invoice`);
+                    return;
+                }
+                base -= total;
+            });
+        }
 
-        this.#generateHr(doc, 250);
+        return errors;
     }
 
     /**
-     * Internal method to generate invoice table
-     * @param {*} doc 
+     * Internal method to check a value against a JSON Schema.
+     * Only the keywords used in json/invoiceSchema.json are supported.
+     * @param {Object} root Whole schema, for $ref
+     * @param {Object} schema Schema of the value
+     * @param {*} value Value to check
+     * @param {String} path Path of the value, "" for the root
+     * @returns {Array<Object>} Errors with path, code and message
      */
-    #generateInvoiceTable(doc) {
-        let i;
-        const invoiceTableTop = 325;
+    static #checkSchema(root, schema, value, path) {
+        const errors = [];
+        const name = path || "invoice";
+        const error = (code, message, at = path) => errors.push({ path: at, code: code, message: message });
 
-        doc.font("Helvetica-Bold");
-        this.#generateTableRow(
-            doc,
-            invoiceTableTop,
-            this.#translate("Item"),
-            this.#translate("Net"),
-            this.#translate("Total")
-        );
-        this.#generateHr(doc, invoiceTableTop + 20);
-        doc.font("Helvetica");
+        if (schema.$ref) {
+            const resolved = schema.$ref.split("/").slice(1).reduce((part, key) => part[key], root);
+            return Invoice.#checkSchema(root, { ...resolved, ...schema, $ref: undefined }, value, path);
+        }
 
-        for (i = 0; i < this.#products.length; i++) {
-            const product = this.#products[i];
-            const position = invoiceTableTop + (i + 1) * 30;
-            this.#generateTableRow(
-                doc,
-                position,
-                product.quantity + "x " + product.description,
-                this.formatCurrency(product.netPrice * product.quantity),
-                this.formatCurrency(product.grossPrice * product.quantity)
-            );
+        const types = [schema.type ?? []].flat();
+        const typeOf = (value) => value === null ? "null" : Array.isArray(value) ? "array" : typeof value;
+        if (types.length > 0 && !types.includes(typeOf(value))) {
+            if (value === null || value === undefined) {
+                error("required", `${name} is required`);
+            }
+            else {
+                error("type", `${name} has to be ${types.join(" or ")}`);
+            }
+            return errors;
+        }
+        if ("const" in schema && value !== schema.const) {
+            error("const", `${name} has to be ${schema.const}`);
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            error("enum", `${name} has to be one of ${schema.enum.join(", ")}`);
+        }
+
+        if (typeof value === "string") {
+            if (value.length < (schema.minLength ?? 0)) {
+                error("minLength", schema.minLength === 1 ? `${name} must not be empty` : `${name} needs at least ${schema.minLength} characters`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                error("pattern", `${name} has an invalid format`);
+            }
+            const formats = {
+                "date-time": (value) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(value) && !isNaN(Date.parse(value)),
+                "email": (value) => /^[^\s@]+@[^\s@]+$/.test(value),
+            };
+            if (schema.format && !formats[schema.format](value)) {
+                error("format", `${name} is not a valid ${schema.format}`);
+            }
+        }
 
-            this.#generateHr(doc, position + 20);
+        if (typeof value === "number") {
+            if (value < schema.minimum) {
+                error("minimum", `${name} has to be at least ${schema.minimum}`);
+            }
+            if (value <= schema.exclusiveMinimum) {
+                error("exclusiveMinimum", `${name} has to be more than ${schema.exclusiveMinimum}`);
+            }
+            if (value > schema.maximum) {
+                error("maximum", `${name} has to be at most ${schema.maximum}`);
+            }
         }
 
-        const subtotalPosition = invoiceTableTop + (i + 1) * 30;
-        doc.font("Helvetica-Bold");
+        if (Array.isArray(value)) {
+            if (value.length < schema.minItems) {
+                error("minItems", `${name} needs at least ${schema.minItems} entries`);
+            }
+            if (value.length > schema.maxItems) {
+                error("maxItems", `${name} has more than ${schema.maxItems} entries`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => errors.push(...Invoice.#checkSchema(root, schema.items, item, `${path}[${index}]`)));
+            }
+        }
 
-        this.#generateTableRow(
-            doc,
-            subtotalPosition,
-            this.#translate("Sum"),
-            this.formatCurrency(this.#netSum),
-            this.formatCurrency(this.#grossSum),
-            this.formatCurrency(this.#grossSum)
-        );
+        if (typeOf(value) === "object") {
+            const child = (key) => path ? `${path}.${key}` : key;
+            (schema.required ?? []).filter((key) => value[key] === undefined).forEach((key) => {
+                error("required", `${child(key)} is required`, child(key));
+            });
+            Object.entries(value).filter(([, property]) => property !== undefined).forEach(([key, property]) => {
+                if (schema.properties?.[key]) {
+                    errors.push(...Invoice.#checkSchema(root, schema.properties[key], property, child(key)));
+                }
+                else if (schema.additionalProperties === false) {
+                    error("additionalProperties", `${child(key)} is unknown`, child(key));
+                }
+            });
+        }
+
+        // of several matching schemas the one of the right type is reported, e.g. a discount instead of null
+        if (schema.oneOf) {
+            const results = schema.oneOf.map((option) => Invoice.#checkSchema(root, option, value, path));
+            const matches = results.filter((result) => result.length === 0).length;
+            const typed = results.filter((result) => result.length > 0 && !result.some((error) => error.path === path && error.code === "type"));
+            if (matches === 0 && typed.length === 1) {
+                errors.push(...typed[0]);
+            }
+            else if (matches !== 1) {
+                const required = schema.oneOf.map((option) => option.required?.[0]);
+                error("oneOf", required.every(Boolean)
+                    ? `${name} needs either ${required.join(" or ")}`
+                    : `${name} has to match exactly one of its types`);
+            }
+        }
 
-        doc.font("Helvetica");
+        return errors;
     }
 
     /**
-     * Internal method to generate footer
-     * @param {*} doc 
+     * Internal method to check an IBAN: structure, length of its country and checksum (ISO 13616)
+     * @param {String} iban IBAN, spaces are ignored
+     * @returns {String} Error message, undefined if the IBAN is valid
      */
-    #generateFooter(doc) {
-        const lines = this.#footerText.split("<br>");
+    static #checkIBAN(iban) {
+        const compact = String(iban ?? "").replace(/\s/g, "").toUpperCase();
+        const country = compact.substring(0, 2);
+
+        if (!/^[A-Z]{2}\d{2}[A-Z0-9]+$/.test(compact)) {
+            return `Invalid IBAN ${iban}, it has to start with a country code and two check digits`;
+        }
+        if (ibanLengths[country] === undefined) {
+            return `Invalid IBAN ${iban}, unknown country ${country}`;
+        }
+        if (compact.length !== ibanLengths[country]) {
+            return `Invalid IBAN ${iban}, IBANs of ${country} have ${ibanLengths[country]} characters, not ${compact.length}`;
+        }
+        if (Invoice.#mod97(compact.substring(4) + compact.substring(0, 4)) !== 1) {
+            return `Invalid IBAN ${iban}, the check digits do not match, please check for typos`;
+        }
+    }
 
-        let y = 735;
+    /**
+     * Internal method to check a BIC: structure (ISO 9362) and the country of the IBAN
+     * @param {String} bic BIC with 8 or 11 characters, spaces are ignored
+     * @param {String} iban IBAN of the account
+     * @returns {String} Error message, undefined if the BIC is valid
+     */
+    static #checkBIC(bic, iban) {
+        const compact = String(bic).replace(/\s/g, "").toUpperCase();
+        const ibanCountry = String(iban ?? "").replace(/\s/g, "").toUpperCase().substring(0, 2);
 
-        lines.forEach((line) => {
-            doc
-                .fontSize(10)
-                .text(
-                    line,
-                    50,
-                    y,
-                    { align: "center", width: 500 }
-                );
-            y += 15;
-        })
+        if (!/^[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/.test(compact)) {
+            return `Invalid BIC ${bic}, it has 8 or 11 characters: bank, country, location and optionally branch`;
+        }
+        const country = compact.substring(4, 6);
+        if (country !== ibanCountry && !(bicCountries[ibanCountry] ?? []).includes(country)) {
+            return `BIC ${bic} is of country ${country}, but the IBAN of ${ibanCountry}`;
+        }
     }
 
-    #generateTableRow(doc, y, title, unitCost, lineTotal) {
-        doc
-            .fontSize(10)
-            .text(title, 50, y)
-            .text(unitCost, 390, y, { width: 90, align: "right" })
-            .text(lineTotal, 0, y, { align: "right" });
+    /**
+     * Internal method for ISO 7064 mod 97-10, letters count as 10-35
+     * @param {String} text Digits and upper case letters
+     * @returns {Number} Remainder of the division by 97
+     */
+    static #mod97(text) {
+        const numeric = text.replace(/[A-Z]/g, (letter) => letter.charCodeAt(0) - 55);
+        return numeric.split("").reduce((rest, digit) => (rest * 10 + Number(digit)) % 97, 0);
     }
 
-    #generateHr(doc, y) {
-        doc
-            .strokeColor("#aaaaaa")
-            .lineWidth(1)
-            .moveTo(50, y)
-            .lineTo(550, y)
-            .stroke();
+    /**
+     * Set the online check of VAT IDs for verifyVatIds(), by default the VIES service of the EU.
+     * Replace it for other services, or with a stub in tests.
+     * @param {Function} verifier async (vatId) => ({ valid, name, address }), valid is null if the VAT ID can not be checked
+     */
+    setVatIdVerifier(verifier) {
+        if (typeof verifier !== "function") {
+            throw new Error("The VAT ID verifier has to be a function");
+        }
+        this.#vatIdVerifier = verifier;
     }
 
     /**
-     * Format a number to currency
-     * @param {Number | String} amount for example 2.12001 
-     * @returns {String} for example €2.12
+     * Check the VAT IDs of seller and client online, after checking them offline.
+     * Invalid VAT IDs are not sent to the verifier.
+     * @returns {Promise<Array<Object>>} party ("seller" or "buyer"), vatId, valid (true, false or null if unknown),
+     * error of the offline check, name and address as registered
      */
-    formatCurrency(amount) {
-        return this.#currency.symbol + Number(amount).toFixed(2);
+    async verifyVatIds() {
+        const parties = [["seller", this.vatId], ["buyer", this.clientVatId]].filter(([, vatId]) => vatId);
+
+        return Promise.all(parties.map(async ([party, vatId]) => {
+            const error = Invoice.#checkVatId(vatId);
+            if (error) {
+                return { party: party, vatId: vatId, valid: false, error: error };
+            }
+            return { party: party, vatId: vatId, ...await this.#vatIdVerifier(Invoice.#compactVatId(vatId)) };
+        }));
+    }
+
+    /**
+     * Check a VAT ID offline: format and check digits of EU member states, UK, Switzerland and Norway.
+     * VAT IDs of other countries can not be checked and count as valid.
+     * @param {String} vatId VAT ID with country prefix ("ATU13585627", "DE 136 695 976", "CHE-107.787.577 MWST", ...)
+     * @returns {Boolean} false if the VAT ID is invalid
+     */
+    static isValidVatId(vatId) {
+        return Invoice.#checkVatId(vatId) === undefined;
+    }
+
+    /**
+     * Internal method to remove spaces, dots and dashes of a VAT ID, GR is written as EL like in VIES
+     * @param {String} vatId VAT ID
+     * @returns {String} VAT ID in upper case, for example "DE136695976"
+     */
+    static #compactVatId(vatId) {
+        const compact = String(vatId).toUpperCase().replace(/[\s.\-]/g, "");
+        return compact.startsWith("GR") ? `EL${compact.substring(2)}` : compact;
+    }
+
+    /**
+     * Internal method to check a VAT ID offline, see isValidVatId()
+     * @param {String} vatId VAT ID with country prefix
+     * @returns {String} Error message, undefined if the VAT ID is valid or of a country which can not be checked
+     */
+    static #checkVatId(vatId) {
+        const compact = Invoice.#compactVatId(vatId);
+        const country = compact.substring(0, 2);
+        let number = compact.substring(2);
+        if (vatIdFormats[country] === undefined) {
+            return;
+        }
+
+        // old Belgian and Greek numbers have one digit less
+        if ((country === "BE" && /^\d{9}$/.test(number)) || (country === "EL" && /^\d{8}$/.test(number))) {
+            number = `0${number}`;
+        }
+        if (!vatIdFormats[country].test(number)) {
+            return `Invalid VAT ID ${vatId}, it does not have the format of ${country}`;
+        }
+        if (!Invoice.#vatIdChecksum(country, number)) {
+            return `Invalid VAT ID ${vatId}, the check digits do not match, please check for typos`;
+        }
+    }
+
+    /**
+     * Internal method to check the requirements of a tax treatment, see setTaxTreatment()
+     * @param {String} treatment Tax treatment ("domestic", "reverse-charge", ...)
+     * @param {String} vatId VAT ID of the seller
+     * @param {String} buyerVatId VAT ID of the buyer
+     * @param {Array<Object>} products Products with title and vat
+     * @returns {Array<Object>} Errors with path, code and message like validateJSON(), empty if the requirements are met
+     */
+    static #checkTaxTreatment(treatment, vatId, buyerVatId, products) {
+        const errors = [];
+        const error = (path, code, message) => errors.push({ path: path, code: code, message: message });
+        const { vatIds } = taxTreatments[treatment] ?? {};
+        if (vatIds === undefined) {
+            return errors;
+        }
+
+        products.forEach((product, index) => {
+            if (product?.vat > 0) {
+                error(`products[${index}].vat`, "vat-not-allowed", `Invoices with tax treatment ${treatment} are without VAT, product "${product.title}" has ${product.vat}%`);
+            }
+        });
+        if (vatIds.includes("seller") && !vatId) {
+            error("vatId", "vat-id-required", `Invoices with tax treatment ${treatment} need the VAT ID of the seller`);
+        }
+        if (vatIds.includes("buyer") && !buyerVatId) {
+            error("buyer.vatId", "vat-id-required", `Invoices with tax treatment ${treatment} need the VAT ID of the buyer, see setBuyer()`);
+        }
+
+        // both need to be registered in the EU, in different member states
+        const countries = [vatId, buyerVatId].map((id) => id ? Invoice.#compactVatId(id).substring(0, 2) : undefined);
+        const inEU = (country) => vatIdFormats[country] !== undefined && !["GB", "CH", "NO"].includes(country);
+        if (treatment === "intra-community" && countries.every(Boolean)) {
+            if (!countries.every(inEU)) {
+                error("buyer.vatId", "not-intra-community", `Intra-community supplies are between VAT IDs of EU member states, not ${countries.join(" and ")}`);
+            }
+            else if (countries[0] === countries[1]) {
+                error("buyer.vatId", "not-intra-community", `Intra-community supplies are to other EU member states, seller and buyer are both in ${countries[0]}`);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Internal method to check the check digits of a VAT ID, the algorithms of the member states
+     * @param {String} country Country prefix ("AT", "EL", "XI", ...)
+     * @param {String} number VAT ID without the prefix, in the format of vatIdFormats
+     * @returns {Boolean} true if the check digits match, or the number has none
+     */
+    static #vatIdChecksum(country, number) {
+        const mod = (value, divisor) => ((value % divisor) + divisor) % divisor;
+        const weighted = (digits, weights) => weights.reduce((sum, weight, i) => sum + weight * Number(digits[i]), 0);
+        const last = Number(number[number.length - 1]);
+        // Luhn, every second digit from the right doubled
+        const luhn = (digits) => [...digits].reverse().reduce((sum, digit, i) => sum + (i % 2 ? [0, 2, 4, 6, 8, 1, 3, 5, 7, 9][digit] : Number(digit)), 0) % 10;
+        // ISO 7064 mod 11, 10
+        const mod1110 = (digits) => [...digits].reduce((check, digit) => (((check || 10) * 2) % 11 + Number(digit)) % 10, 5) === 1;
+        // Spanish DNI and NIE letter
+        const dniLetter = (digits) => "TRWAGMYFPDXBNJZSQVHLCKE"[Number(digits) % 23];
+
+        switch (country) {
+            case "AT":
+                return (16 - luhn(number.substring(1, 8))) % 10 === last;
+            case "BE":
+                return 97 - Number(number.substring(0, 8)) % 97 === Number(number.substring(8));
+            case "BG": {
+                if (number.length === 9) {
+                    const check = weighted(number, [1, 2, 3, 4, 5, 6, 7, 8]) % 11;
+                    return (check === 10 ? weighted(number, [3, 4, 5, 6, 7, 8, 9, 10]) % 11 : check) % 10 === last;
+                }
+                // personal number, number of a foreigner or of other entities
+                return weighted(number, [2, 4, 8, 5, 10, 9, 7, 3, 6]) % 11 % 10 === last ||
+                    weighted(number, [21, 19, 17, 13, 11, 9, 7, 3, 1]) % 10 === last ||
+                    mod(11 - weighted(number, [4, 3, 2, 7, 6, 5, 4, 3, 2]), 11) === last;
+            }
+            case "CY": {
+                const odd = [1, 0, 5, 7, 9, 13, 15, 17, 19, 21];
+                const sum = [...number.substring(0, 8)].reduce((sum, digit, i) => sum + (i % 2 ? Number(digit) : odd[digit]), 0);
+                return "ABCDEFGHIJKLMNOPQRSTUVWXYZ"[sum % 26] === number[8];
+            }
+            case "CZ":
+                if (number.length === 8) {
+                    return number[0] !== "9" && (mod(11 - weighted(number, [8, 7, 6, 5, 4, 3, 2]), 11) || 1) % 10 === last;
+                }
+                // birth numbers, those with 9 digits are from before 1954 and have no check digit
+                return number.length === 9 || Number(number) % 11 === 0 || (Number(number.substring(0, 9)) % 11 === 10 && last === 0);
+            case "DE":
+            case "HR":
+                return mod1110(number);
+            case "DK":
+                return weighted(number, [2, 7, 6, 5, 4, 3, 2, 1]) % 11 === 0;
+            case "EE":
+                return weighted(number, [3, 7, 1, 3, 7, 1, 3, 7, 1]) % 10 === 0;
+            case "EL":
+                return [...number.substring(0, 8)].reduce((sum, digit) => sum * 2 + Number(digit), 0) * 2 % 11 % 10 === last;
+            case "ES": {
+                if (/^\d{8}[A-Z]$/.test(number)) {
+                    return dniLetter(number.substring(0, 8)) === number[8];
+                }
+                if (/^[XYZ]/.test(number)) {
+                    return dniLetter("XYZ".indexOf(number[0]) + number.substring(1, 8)) === number[8];
+                }
+                if (/^[KLM]/.test(number)) {
+                    return dniLetter(number.substring(1, 8)) === number[8];
+                }
+                // companies, the check character is a digit or a letter
+                const check = (10 - luhn(number.substring(1, 8) + "0")) % 10;
+                return /^[ABCDEFGHJNPQRSUVW]/.test(number) && [String(check), "JABCDEFGHI"[check]].includes(number[8]);
+            }
+            case "FI":
+                return weighted(number, [7, 9, 10, 5, 8, 4, 2, 1]) % 11 === 0;
+            case "FR":
+                // keys with letters are calculated by the tax office only
+                return !/^\d{2}/.test(number) || Number(number.substring(0, 2)) === Number(number.substring(2) + "12") % 97;
+            case "HU":
+                return weighted(number, [9, 7, 3, 1, 9, 7, 3, 1]) % 10 === 0;
+            case "IE": {
+                // old format: the second character is a letter or + or *
+                const digits = /^\d{7}/.test(number) ? number : `0${number.substring(2, 7)}${number[0]}${number[7]}`;
+                const alphabet = "WABCDEFGHIJKLMNOPQRSTUV";
+                const sum = weighted(digits, [8, 7, 6, 5, 4, 3, 2]) + 9 * alphabet.indexOf(digits[8] ?? "W");
+                return alphabet[sum % 23] === digits[7];
+            }
+            case "IT": {
+                const office = Number(number.substring(7, 10));
+                return luhn(number) === 0 && number.substring(0, 7) !== "0000000" && ((office >= 1 && office <= 100) || [120, 121, 888, 999].includes(office));
+            }
+            case "LT": {
+                const digits = number.substring(0, number.length - 1);
+                const check = [...digits].reduce((sum, digit, i) => sum + (1 + i % 9) * Number(digit), 0) % 11;
+                return (check === 10 ? [...digits].reduce((sum, digit, i) => sum + (1 + (i + 2) % 9) * Number(digit), 0) % 11 : check) % 10 === last;
+            }
+            case "LU":
+                return Number(number.substring(0, 6)) % 89 === Number(number.substring(6));
+            case "LV":
+                // personal codes start with 0-3 and are checked with the birth date by VIES only
+                return number[0] <= "3" || weighted(number, [9, 1, 4, 8, 3, 10, 2, 5, 7, 6, 1]) % 11 === 3;
+            case "MT":
+                return weighted(number, [3, 4, 6, 7, 8, 9, 10, 1]) % 37 === 0;
+            case "NL":
+                // sole traders have had numbers with ISO 7064 mod 97 since 2020
+                return mod(weighted(number, [9, 8, 7, 6, 5, 4, 3, 2, -1]), 11) === 0 || Invoice.#mod97(`NL${number}`) === 1;
+            case "PL":
+                return mod(weighted(number, [6, 5, 7, 2, 3, 4, 5, 6, 7, -1]), 11) === 0;
+            case "PT":
+                return mod(11 - weighted(number, [9, 8, 7, 6, 5, 4, 3, 2]), 11) % 10 === last;
+            case "RO":
+                return 10 * weighted(number.substring(0, number.length - 1).padStart(9, "0"), [7, 5, 3, 2, 1, 7, 5, 3, 2]) % 11 % 10 === last;
+            case "SE":
+                return luhn(number.substring(0, 10)) === 0;
+            case "SI": {
+                const check = 11 - weighted(number, [8, 7, 6, 5, 4, 3, 2]) % 11;
+                return (check === 10 ? 0 : check) === last;
+            }
+            case "SK":
+                return Number(number) % 11 === 0;
+            case "XI":
+            case "GB":
+                // government departments and health authorities have no check digits, newer numbers from 100 on have 42 or 55 added
+                return !/^\d/.test(number) || (Number(number.substring(0, 3)) >= 100 ? [0, 42, 55] : [0]).includes(weighted(number, [8, 7, 6, 5, 4, 3, 2, 10, 1]) % 97);
+            case "CH":
+            case "NO": {
+                const digits = country === "CH" ? number.substring(1, 10) : number.substring(0, 9);
+                const check = mod(11 - weighted(digits, country === "CH" ? [5, 4, 3, 2, 7, 6, 5, 4] : [3, 2, 7, 6, 5, 4, 3, 2]), 11);
+                return check !== 10 && check === Number(digits[8]);
+            }
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Check a discount object, either a percentage or a (positive) net amount
+     * @param {String} title Title of product or discount, for error messages
+     * @param {Object} discount { percent: 10 } or { amount: 5 }
+     * @returns {Object} Checked discount with numbers
+     */
+    #checkDiscount(title, discount) {
+        const hasPercent = discount?.percent !== undefined;
+        const hasAmount = discount?.amount !== undefined;
+
+        if (hasPercent === hasAmount) {
+            throw new Error(`Discount of "${title}" needs either a percent or an amount`);
+        }
+        if (hasPercent) {
+            const percent = Number(discount.percent);
+            if (!Number.isFinite(percent) || percent <= 0 || percent > 100) {
+                throw new Error(`Discount of "${title}" has to be a percentage between 0 and 100`);
+            }
+            return { percent: percent };
+        }
+
+        const amount = Number(discount.amount);
+        if (!Number.isFinite(amount) || amount <= 0) {
+            throw new Error(`Discount of "${title}" has to be a positive amount`);
+        }
+        return { amount: amount };
+    }
+
+    /**
+     * Calculate the missing price of a product from the other one and the tax-rate,
+     * or check that both prices match the tax-rate.
+     * @param {String} title Title of product, for error messages
+     * @param {Number | null} netPrice Net price of one unit
+     * @param {Number} vat Tax-rate of product
+     * @param {Number | null} grossPrice Gross price of one unit
+     * @returns {Number[]} [netPrice, grossPrice]
+     */
+    #completePrices(title, netPrice, vat, grossPrice) {
+        const hasNet = netPrice !== null && netPrice !== undefined;
+        const hasGross = grossPrice !== null && grossPrice !== undefined;
+
+        if (!hasNet && !hasGross) {
+            throw new Error(`Please pass a net or gross price for product "${title}"`);
+        }
+        if ((hasNet && !Number.isFinite(Number(netPrice))) || (hasGross && !Number.isFinite(Number(grossPrice)))) {
+            throw new Error(`Prices of product "${title}" have to be numbers`);
+        }
+
+        const factor = 1 + vat / 100;
+        if (!hasGross) {
+            return [Number(netPrice), Number(netPrice) * factor];
+        }
+        if (!hasNet) {
+            return [Number(grossPrice) / factor, Number(grossPrice)];
+        }
+
+        // both prices may be rounded by half a minor unit (cent), the net price is multiplied by the factor,
+        // with a little more for floating point
+        const digits = this.#currency ? this.#currency.decimal_digits : 2;
+        const tolerance = 0.5 * 10 ** -digits * (1 + factor) + 1e-9;
+        if (Math.abs(Number(netPrice) * factor - Number(grossPrice)) > tolerance) {
+            throw new Error(`Gross price ${grossPrice} of product "${title}" does not match net price ${netPrice} with ${vat}% tax`);
+        }
+
+        return [Number(netPrice), Number(grossPrice)];
+    }
+
+    /**
+     * Run checks before generating pdf
+     */
+    #runChecks() {
+        if (this.#currency === undefined) {
+            throw new Error("Please set a currency before generating the invoice");
+        }
+        if (!this.#netEqualsGross && !this.vatId) {
+            throw new Error("This invoice contains VAT, please include a valid VatID!");
+        }
+        const error = this.vatId ? Invoice.#checkVatId(this.vatId) : undefined;
+        if (error) {
+            throw new Error(error);
+        }
+        const products = this.#products.map((product) => ({ title: product.description, vat: product["tax-rate"] }));
+        const [problem] = Invoice.#checkTaxTreatment(this.#taxTreatment, this.vatId, this.clientVatId, products);
+        if (problem) {
+            throw new Error(problem.message);
+        }
+    }
+
+    /**
+     * Internal method to merge same products into one line, their quantities are summed up.
+     * The products of the invoice stay as they were added, so the invoice can be generated again after changes.
+     * @returns {Array<Object>} Copies of the products, one per line
+     */
+    #mergeProducts() {
+        const lines = new Map();
+        this.#products.forEach((product) => {
+            const line = lines.get(product.md5);
+            if (line) {
+                line.quantity += product.quantity;
+            }
+            else {
+                lines.set(product.md5, { ...product });
+            }
+        });
+
+        return [...lines.values()];
+    }
+
+    /**
+     * Convert an amount to minor units (cents) of the currency.
+     * Result is not rounded, use #round() for that.
+     * @param {Number} amount Amount in major units, for example 2.12
+     * @returns {Number} Amount in minor units, for example 212
+     */
+    #toMinorUnits(amount) {
+        const factor = 10 ** this.#currency.decimal_digits;
+        // toPrecision removes floating point noise like 30.000000000000004
+        return Number((Number(amount) * factor).toPrecision(12));
+    }
+
+    /**
+     * Round an amount in minor units to an integer, using the rounding method.
+     * @param {Number} minor Amount in minor units, for example 212.5
+     * @param {Number} increment Round to multiples of this, in minor units
+     * @returns {Number} Rounded amount, for example 213 (half-up) or 212 (half-even)
+     */
+    #round(minor, increment = 1) {
+        const value = Number((Math.abs(minor) / increment).toPrecision(12));
+        let rounded = Math.floor(value);
+        const remainder = value - rounded;
+
+        if (remainder > 0.5 || (remainder === 0.5 && (this.#roundingMethod === "half-up" || rounded % 2 === 1))) {
+            rounded++;
+        }
+
+        return Math.sign(minor) * rounded * increment;
+    }
+
+    /**
+     * Calculate line totals and sums of the invoice in minor units.
+     * Depending on the rounding mode either every line or only the sums per tax rate get rounded.
+     * The VAT of each rate is its rounded net sum times the rate, as EN 16931 requires.
+     * Discounts of the invoice are split across the tax rates, proportional to their net amounts.
+     * The balance due gets rounded to the rounding increment of the currency (e.g. 0.05 CHF).
+     * @returns {Object} lines (products with netTotal and grossTotal after their discount),
+     * discounts (invoice discounts with net, tax and gross), taxRates (net, tax and gross per rate after discounts,
+     * and the discounts of the rate), netSum, grossSum, taxSum, payments (with amount in minor units), paid, balanceDue
+     * and rounding (the difference of the rounded balance due, for xml)
+     */
+    #calculateTotals() {
+        const roundLine = this.#roundingMode === "line" ? (minor) => this.#round(minor) : (minor) => minor;
+        const increment = this.#currency.rounding > 0 ? this.#round(this.#toMinorUnits(this.#currency.rounding)) : 1;
+
+        const taxRates = {};
+        const lines = this.#mergeProducts().map((product) => {
+            const rate = product["tax-rate"];
+            let netTotal = roundLine(this.#toMinorUnits(product.netPrice) * product.quantity);
+            let grossTotal = roundLine(this.#toMinorUnits(product.grossPrice) * product.quantity);
+
+            let discount = null;
+            if (product.discount) {
+                const percent = product.discount.percent;
+                const amount = this.#toMinorUnits(product.discount.amount) * product.quantity;
+                discount = {
+                    ...product.discount,
+                    net: roundLine(percent ? netTotal * percent / 100 : amount),
+                    gross: roundLine(percent ? grossTotal * percent / 100 : amount * (1 + rate / 100)),
+                };
+                netTotal -= discount.net;
+                grossTotal -= discount.gross;
+            }
+
+            taxRates[rate] = taxRates[rate] || { rate: rate, net: 0 };
+            taxRates[rate].net += netTotal;
+
+            return { ...product, netTotal: netTotal, grossTotal: grossTotal, discount: discount };
+        });
+
+        // the gross amounts of the lines are only shown, the VAT of a rate comes from its net sum
+        const rates = Object.values(taxRates)
+            .sort((a, b) => a.rate - b.rate)
+            .map((taxRate) => ({
+                rate: taxRate.rate,
+                net: this.#round(taxRate.net),
+                discounts: [],
+            }));
+
+        const discounts = this.#discounts.map((discount) => {
+            const base = rates.reduce((sum, taxRate) => sum + taxRate.net, 0);
+            const total = this.#round(discount.percent ? base * discount.percent / 100 : this.#toMinorUnits(discount.amount));
+            if (total > base) {
+                throw new Error(`Discount "${discount.description}" is higher than the net sum of the invoice`);
+            }
+
+            // nothing is left to split after earlier discounts, a percentage of it is zero
+            if (base === 0) {
+                return { ...discount, net: 0, tax: 0, gross: 0 };
+            }
+
+            let remaining = total;
+            let tax = 0;
+            rates.forEach((taxRate, i) => {
+                // the last rate gets the rest, so the parts add up to the total
+                const net = i === rates.length - 1 ? remaining : this.#round(total * taxRate.net / base);
+                const rateTax = this.#round(net * taxRate.rate / 100);
+                remaining -= net;
+                tax += rateTax;
+
+                taxRate.discounts.push({
+                    description: discount.description,
+                    net: net,
+                    tax: rateTax,
+                    gross: net + rateTax,
+                });
+                taxRate.net -= net;
+            });
+
+            return { ...discount, net: total, tax: tax, gross: total + tax };
+        });
+
+        let netSum = 0;
+        let grossSum = 0;
+        rates.forEach((taxRate) => {
+            taxRate.tax = this.#round(taxRate.net * taxRate.rate / 100);
+            taxRate.gross = taxRate.net + taxRate.tax;
+            netSum += taxRate.net;
+            grossSum += taxRate.gross;
+        });
+
+        let paid = 0;
+        const payments = this.#payments.map((payment) => {
+            const amount = this.#round(this.#toMinorUnits(payment.amount));
+            paid += amount;
+
+            return { ...payment, amount: amount };
+        });
+
+        const balanceDue = this.#round(grossSum - paid, increment);
+
+        return {
+            lines: lines,
+            discounts: discounts,
+            taxRates: rates,
+            netSum: netSum,
+            grossSum: grossSum,
+            taxSum: grossSum - netSum,
+            payments: payments,
+            paid: paid,
+            balanceDue: balanceDue,
+            rounding: balanceDue - (grossSum - paid),
+        };
+    }
+
+    /**
+     * Generate PDF.
+     * The invoice is not changed, it can be edited and generated again.
+     * With the facturX option, a PDF/A-3 with the embedded Cross-Industry-Invoice xml (factur-x.xml) is generated,
+     * like ZUGFeRD. PDF/A requires embedded fonts, so a regular and a bold font have to be set with setFonts().
+     * With the swissQRBill option, the Swiss QR-bill payment part is added on its own page.
+     * The output option selects the format, Base64 by default.
+     * Logos which are PNGs with transparency or interlacing need generatePDFAsync() or generatePDFStream().
+     * @param {Object} options Optional, { facturX: "MINIMUM" | "BASIC" | "EN 16931", swissQRBill: true, output: "base64" | "buffer" | "uint8array" | "blob" }
+     * @returns {String | Buffer | Uint8Array | Blob} Invoice in the format of the output option
+     */
+    generatePDF(options = {}) {
+        const output = this.#checkOutput(options.output ?? "base64");
+        // pdfkit decodes these asynchronously, they are not written yet when the document is read
+        if (this.#logo?.async) {
+            throw new Error("PNG logos with transparency or interlacing need generatePDFAsync() or generatePDFStream()");
+        }
+
+        return this.#encodePDF(this.#createPDF(options).read(), output);
+    }
+
+    /**
+     * Generate PDF asynchronously, the promise resolves once the whole document is written.
+     * Options like generatePDF(), the output is a Buffer by default.
+     * @param {Object} options Optional, { facturX, swissQRBill, output: "base64" | "buffer" | "uint8array" | "blob" }
+     * @returns {Promise<String | Buffer | Uint8Array | Blob>} Invoice in the format of the output option
+     */
+    async generatePDFAsync(options = {}) {
+        const output = this.#checkOutput(options.output ?? "buffer");
+        const doc = this.#createPDF(options);
+
+        const pdf = await new Promise((resolve, reject) => {
+            const chunks = [];
+            doc.on("data", (chunk) => chunks.push(chunk));
+            doc.on("end", () => resolve(Buffer.concat(chunks)));
+            doc.on("error", reject);
+        });
+
+        return this.#encodePDF(pdf, output);
+    }
+
+    /**
+     * Generate PDF as readable stream, to pipe it into a file or an HTTP response.
+     * Options like generatePDF(), except output.
+     * @param {Object} options Optional, { facturX, swissQRBill }
+     * @returns {stream.Readable} Invoice as stream
+     */
+    generatePDFStream(options = {}) {
+        return this.#createPDF(options);
+    }
+
+    /**
+     * Internal method to check the output format of the PDF, throws if it does not exist
+     * @param {String} output "base64", "buffer", "uint8array" or "blob"
+     * @returns {String} Output format in lower case
+     */
+    #checkOutput(output) {
+        const format = String(output).toLowerCase();
+        if (!["base64", "buffer", "uint8array", "blob"].includes(format)) {
+            throw new Error(`Unknown output ${output}, please use base64, buffer, uint8array or blob`);
+        }
+        return format;
+    }
+
+    /**
+     * Internal method to convert the PDF to the output format
+     * @param {Buffer} pdf Complete PDF
+     * @param {String} output "base64", "buffer", "uint8array" or "blob"
+     * @returns {String | Buffer | Uint8Array | Blob} PDF in the output format
+     */
+    #encodePDF(pdf, output) {
+        switch (output) {
+            case "base64":
+                return pdf.toString("base64");
+            case "uint8array":
+                return new Uint8Array(pdf.buffer, pdf.byteOffset, pdf.length);
+            case "blob":
+                return new Blob([pdf], { type: "application/pdf" });
+            default:
+                return pdf;
+        }
+    }
+
+    /**
+     * Internal method to create the PDF document, it is ended and its content can be read as stream
+     * @param {Object} options { facturX, swissQRBill }, see generatePDF()
+     * @returns {PDFDocument} Ended document
+     */
+    #createPDF(options) {
+        this.#runChecks();
+
+        const facturX = options.facturX ? this.#facturXProfile(options.facturX) : undefined;
+        if (options.swissQRBill) {
+            this.#checkSwissQRBill();
+        }
+        // PDF/A requires all fonts to be embedded, the built-in Helvetica is not
+        if (facturX && (!this.#fonts.Regular || !this.#fonts.Bold)) {
+            throw new Error("Factur-X PDFs (PDF/A-3) need embedded fonts, please set a regular and a bold font with setFonts()");
+        }
+        if (facturX && options.swissQRBill) {
+            throw new Error("The Swiss QR-bill is written in the built-in Helvetica, it can not be part of a Factur-X PDF (PDF/A-3)");
+        }
+
+        const [width, height] = Array.isArray(this.#paperSize) ? this.#paperSize : paperSizes[this.#paperSize];
+        this.#layout = this.#pageLayout(width, height);
+
+        // pages are buffered, to add the footer and page numbers once all pages exist.
+        // All positions come from the layout, pdfkit must not break pages on its own
+        let doc = new PDFDocument({
+            size: [width, height],
+            margin: 0,
+            // the same invoice always gives the same PDF, see toJSON()
+            info: { CreationDate: new Date(this.invoiceDate) },
+            compress: false,
+            bufferPages: true,
+            ...(facturX ? { pdfVersion: "1.7", subset: "PDF/A-3b", lang: this.locale } : {}),
+        });
+        this.#registerFonts(doc);
+
+        this.#generateHeader(doc);
+        this.#generateCustomerInformation(doc);
+        this.#generateFoldMarks(doc);
+        const tableEnd = this.#generateInvoiceTable(doc);
+        if (!options.swissQRBill) {
+            this.#generatePaymentQR(doc, tableEnd + 30);
+        }
+
+        const pages = doc.bufferedPageRange();
+        for (let i = pages.start; i < pages.start + pages.count; i++) {
+            doc.switchToPage(i);
+            this.#generateFooter(doc);
+            this.#generatePageNumber(doc, i + 1, pages.count);
+        }
+
+        // the payment part is a slip of its own, without footer and page number
+        if (options.swissQRBill) {
+            this.#generateSwissQRBill(doc);
+        }
+
+        if (facturX) {
+            this.#embedFacturX(doc, options.facturX);
+        }
+
+        doc.end();
+
+        return doc;
+    }
+
+    /**
+     * Get a Factur-X profile, throws if it does not exist
+     * @param {String} profile "MINIMUM", "BASIC" or "EN 16931"
+     * @returns {Object} Guideline id and relationship of the profile
+     */
+    #facturXProfile(profile) {
+        const facturX = facturXProfiles[String(profile).toUpperCase()];
+        if (facturX === undefined) {
+            throw new Error(`Unknown Factur-X profile "${profile}", use one of ${Object.keys(facturXProfiles).join(", ")}`);
+        }
+
+        return facturX;
+    }
+
+    /**
+     * Internal method to embed the Cross-Industry-Invoice xml and the Factur-X metadata into the PDF/A-3
+     * @param {*} doc
+     * @param {String} profile Factur-X profile
+     */
+    #embedFacturX(doc, profile) {
+        const facturX = this.#facturXProfile(profile);
+        const date = new Date(this.invoiceDate);
+
+        doc.file(Buffer.from(this.generateCII(profile), "utf-8"), {
+            name: "factur-x.xml",
+            type: "text/xml",
+            relationship: facturX.relationship,
+            description: "Factur-X invoice",
+            creationDate: date,
+            modifiedDate: date,
+        });
+
+        // the fx schema has to be described by a PDF/A extension schema
+        doc.appendXML(`
+        <rdf:Description rdf:about="" xmlns:fx="urn:factur-x:pdfa:CrossIndustryDocument:invoice:1p0#">
+            <fx:DocumentType>INVOICE</fx:DocumentType>
+            <fx:DocumentFileName>factur-x.xml</fx:DocumentFileName>
+            <fx:Version>1.0</fx:Version>
+            <fx:ConformanceLevel>${String(profile).toUpperCase()}</fx:ConformanceLevel>
+        </rdf:Description>
+        <rdf:Description rdf:about="" xmlns:pdfaExtension="http://www.aiim.org/pdfa/ns/extension/" xmlns:pdfaSchema="http://www.aiim.org/pdfa/ns/schema#" xmlns:pdfaProperty="http://www.aiim.org/pdfa/ns/property#">
+            <pdfaExtension:schemas>
+                <rdf:Bag>
+                    <rdf:li rdf:parseType="Resource">
+                        <pdfaSchema:schema>Factur-X PDFA Extension Schema</pdfaSchema:schema>
+                        <pdfaSchema:namespaceURI>urn:factur-x:pdfa:CrossIndustryDocument:invoice:1p0#</pdfaSchema:namespaceURI>
+                        <pdfaSchema:prefix>fx</pdfaSchema:prefix>
+                        <pdfaSchema:property>
+                            <rdf:Seq>
+                                ${["DocumentFileName", "DocumentType", "Version", "ConformanceLevel"].map((name) => `<rdf:li rdf:parseType="Resource">
+                                    <pdfaProperty:name>${name}</pdfaProperty:name>
+                                    <pdfaProperty:valueType>Text</pdfaProperty:valueType>
+                                    <pdfaProperty:category>external</pdfaProperty:category>
+                                    <pdfaProperty:description>${name} of the Factur-X invoice</pdfaProperty:description>
+                                </rdf:li>`).join("\n")}
+                            </rdf:Seq>
+                        </pdfaSchema:property>
+                    </rdf:li>
+                </rdf:Bag>
+            </pdfaExtension:schemas>
+        </rdf:Description>
+        `);
+    }
+
+    /**
+     * Generate the Cross-Industry-Invoice xml (UN/CEFACT CII D16B) of the invoice,
+     * as embedded in Factur-X / ZUGFeRD PDFs.
+     * @param {String} profile "MINIMUM", "BASIC" or "EN 16931"
+     * @returns {String} xml
+     */
+    generateCII(profile = "EN 16931") {
+        const facturX = this.#facturXProfile(profile);
+        const withLines = String(profile).toUpperCase() !== "MINIMUM";
+
+        this.#runChecks();
+
+        const totals = this.#calculateTotals();
+        const currency = this.#currency.code;
+        const amount = (minor) => this.#formatDecimal(minor);
+        const date = (value) => `<udt:DateTimeString format="102">${this.#formatDateNumber(new Date(value))}</udt:DateTimeString>`;
+        const tax = (rate) => `<ram:TypeCode>VAT</ram:TypeCode>
+                <ram:CategoryCode>${this.#taxCategory(rate)}</ram:CategoryCode>
+                <ram:RateApplicablePercent>${rate}</ram:RateApplicablePercent>`;
+        const allowance = (minor, reason, percent) => `<ram:ChargeIndicator><udt:Indicator>false</udt:Indicator></ram:ChargeIndicator>
+                ${percent ? `<ram:CalculationPercent>${percent}</ram:CalculationPercent>` : ""}
+                <ram:ActualAmount>${amount(minor)}</ram:ActualAmount>
+                <ram:Reason>${this.#escapeXml(reason)}</ram:Reason>`;
+
+        const lines = totals.lines.map((product, i) => `
+        <ram:IncludedSupplyChainTradeLineItem>
+            <ram:AssociatedDocumentLineDocument>
+                <ram:LineID>${i + 1}</ram:LineID>
+            </ram:AssociatedDocumentLineDocument>
+            <ram:SpecifiedTradeProduct>
+                <ram:Name>${this.#escapeXml(product.description)}</ram:Name>
+            </ram:SpecifiedTradeProduct>
+            <ram:SpecifiedLineTradeAgreement>
+                <ram:NetPriceProductTradePrice>
+                    <ram:ChargeAmount>${Number(product.netPrice.toFixed(4))}</ram:ChargeAmount>
+                </ram:NetPriceProductTradePrice>
+            </ram:SpecifiedLineTradeAgreement>
+            <ram:SpecifiedLineTradeDelivery>
+                <ram:BilledQuantity unitCode="${this.#unitCode(product.unit)}">${this.formatQuantity(product.quantity)}</ram:BilledQuantity>
+            </ram:SpecifiedLineTradeDelivery>
+            <ram:SpecifiedLineTradeSettlement>
+                <ram:ApplicableTradeTax>
+                ${tax(product["tax-rate"])}
+                </ram:ApplicableTradeTax>
+                ${product.discount ? `<ram:SpecifiedTradeAllowanceCharge>
+                ${allowance(product.discount.net, this.#translate("Discount"), product.discount.percent)}
+                </ram:SpecifiedTradeAllowanceCharge>` : ""}
+                <ram:SpecifiedTradeSettlementLineMonetarySummation>
+                    <ram:LineTotalAmount>${amount(product.netTotal)}</ram:LineTotalAmount>
+                </ram:SpecifiedTradeSettlementLineMonetarySummation>
+            </ram:SpecifiedLineTradeSettlement>
+        </ram:IncludedSupplyChainTradeLineItem>`);
+
+        const taxes = totals.taxRates.map((taxRate) => `
+            <ram:ApplicableTradeTax>
+                <ram:CalculatedAmount>${amount(taxRate.tax)}</ram:CalculatedAmount>
+                <ram:TypeCode>VAT</ram:TypeCode>
+                ${this.#taxExemptionReason(taxRate.rate) ? `<ram:ExemptionReason>${this.#escapeXml(this.#taxExemptionReason(taxRate.rate))}</ram:ExemptionReason>` : ""}
+                <ram:BasisAmount>${amount(taxRate.net)}</ram:BasisAmount>
+                <ram:CategoryCode>${this.#taxCategory(taxRate.rate)}</ram:CategoryCode>
+                ${this.#taxExemptionCode(taxRate.rate) ? `<ram:ExemptionReasonCode>${this.#taxExemptionCode(taxRate.rate)}</ram:ExemptionReasonCode>` : ""}
+                <ram:RateApplicablePercent>${taxRate.rate}</ram:RateApplicablePercent>
+            </ram:ApplicableTradeTax>`);
+
+        // invoice discounts are listed per tax rate, as every allowance has exactly one tax category
+        const discounts = totals.taxRates.flatMap((taxRate) => taxRate.discounts.map((discount) => `
+            <ram:SpecifiedTradeAllowanceCharge>
+                ${allowance(discount.net, discount.description)}
+                <ram:CategoryTradeTax>
+                ${tax(taxRate.rate)}
+                </ram:CategoryTradeTax>
+            </ram:SpecifiedTradeAllowanceCharge>`));
+
+        const lineTotal = totals.lines.reduce((sum, product) => sum + product.netTotal, 0);
+        const allowanceTotal = totals.discounts.reduce((sum, discount) => sum + discount.net, 0);
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<rsm:CrossIndustryInvoice xmlns:rsm="urn:un:unece:uncefact:data:standard:CrossIndustryInvoice:100" xmlns:ram="urn:un:unece:uncefact:data:standard:ReusableAggregateBusinessInformationEntity:100" xmlns:qdt="urn:un:unece:uncefact:data:standard:QualifiedDataType:100" xmlns:udt="urn:un:unece:uncefact:data:standard:UnqualifiedDataType:100">
+    <rsm:ExchangedDocumentContext>
+        <ram:GuidelineSpecifiedDocumentContextParameter>
+            <ram:ID>${facturX.id}</ram:ID>
+        </ram:GuidelineSpecifiedDocumentContextParameter>
+    </rsm:ExchangedDocumentContext>
+    <rsm:ExchangedDocument>
+        <ram:ID>${this.#escapeXml(this.invoiceId)}</ram:ID>
+        <ram:TypeCode>380</ram:TypeCode>
+        <ram:IssueDateTime>${date(this.invoiceDate)}</ram:IssueDateTime>
+    </rsm:ExchangedDocument>
+    <rsm:SupplyChainTradeTransaction>${withLines ? lines.join("") : ""}
+        <ram:ApplicableHeaderTradeAgreement>
+            ${this.buyerReference ? `<ram:BuyerReference>${this.#escapeXml(this.buyerReference)}</ram:BuyerReference>` : ""}
+            <ram:SellerTradeParty>
+                <ram:Name>${this.#escapeXml(this.businessName)}</ram:Name>
+                <ram:PostalTradeAddress>
+                    ${withLines ? `<ram:PostcodeCode>${this.#escapeXml(this.businessZip)}</ram:PostcodeCode>
+                    <ram:LineOne>${this.#escapeXml(this.businessStreetAddress)}</ram:LineOne>
+                    <ram:CityName>${this.#escapeXml(this.businessCity)}</ram:CityName>` : ""}
+                    <ram:CountryID>${this.#countryCode(this.businessCountry)}</ram:CountryID>
+                </ram:PostalTradeAddress>
+                ${this.vatId ? `<ram:SpecifiedTaxRegistration>
+                    <ram:ID schemeID="VA">${this.#escapeXml(Invoice.#compactVatId(this.vatId))}</ram:ID>
+                </ram:SpecifiedTaxRegistration>` : ""}
+            </ram:SellerTradeParty>
+            <ram:BuyerTradeParty>
+                <ram:Name>${this.#escapeXml(this.clientName)}</ram:Name>
+                ${withLines ? `<ram:PostalTradeAddress>
+                    <ram:PostcodeCode>${this.#escapeXml(this.clientZip)}</ram:PostcodeCode>
+                    <ram:LineOne>${this.#escapeXml(this.clientStreetAddress)}</ram:LineOne>
+                    <ram:CityName>${this.#escapeXml(this.clientCity)}</ram:CityName>
+                    <ram:CountryID>${this.#countryCode(this.clientCountry)}</ram:CountryID>
+                </ram:PostalTradeAddress>` : ""}
+                ${withLines && this.clientVatId ? `<ram:SpecifiedTaxRegistration>
+                    <ram:ID schemeID="VA">${this.#escapeXml(Invoice.#compactVatId(this.clientVatId))}</ram:ID>
+                </ram:SpecifiedTaxRegistration>` : ""}
+            </ram:BuyerTradeParty>
+        </ram:ApplicableHeaderTradeAgreement>
+        <ram:ApplicableHeaderTradeDelivery/>
+        <ram:ApplicableHeaderTradeSettlement>
+            <ram:InvoiceCurrencyCode>${currency}</ram:InvoiceCurrencyCode>${withLines ? `${this.#iban ? `
+            <ram:SpecifiedTradeSettlementPaymentMeans>
+                <ram:TypeCode>58</ram:TypeCode>
+                <ram:PayeePartyCreditorFinancialAccount>
+                    <ram:IBANID>${this.#escapeXml(this.#iban.replace(/\s/g, ""))}</ram:IBANID>
+                    ${this.#accountName ? `<ram:AccountName>${this.#escapeXml(this.#accountName)}</ram:AccountName>` : ""}
+                </ram:PayeePartyCreditorFinancialAccount>
+                ${this.#bic ? `<ram:PayeeSpecifiedCreditorFinancialInstitution>
+                    <ram:BICID>${this.#escapeXml(this.#bic)}</ram:BICID>
+                </ram:PayeeSpecifiedCreditorFinancialInstitution>` : ""}
+            </ram:SpecifiedTradeSettlementPaymentMeans>` : ""}${taxes.join("")}${discounts.join("")}${this.invoiceDueDate ? `
+            <ram:SpecifiedTradePaymentTerms>
+                <ram:DueDateDateTime>${date(this.invoiceDueDate)}</ram:DueDateDateTime>
+            </ram:SpecifiedTradePaymentTerms>` : ""}` : ""}
+            <ram:SpecifiedTradeSettlementHeaderMonetarySummation>
+                ${withLines ? `<ram:LineTotalAmount>${amount(lineTotal)}</ram:LineTotalAmount>
+                <ram:AllowanceTotalAmount>${amount(allowanceTotal)}</ram:AllowanceTotalAmount>` : ""}
+                <ram:TaxBasisTotalAmount>${amount(totals.netSum)}</ram:TaxBasisTotalAmount>
+                <ram:TaxTotalAmount currencyID="${currency}">${amount(totals.taxSum)}</ram:TaxTotalAmount>
+                ${withLines && totals.rounding !== 0 ? `<ram:RoundingAmount>${amount(totals.rounding)}</ram:RoundingAmount>` : ""}
+                <ram:GrandTotalAmount>${amount(totals.grossSum)}</ram:GrandTotalAmount>
+                ${withLines ? `<ram:TotalPrepaidAmount>${amount(totals.paid)}</ram:TotalPrepaidAmount>` : ""}
+                <ram:DuePayableAmount>${amount(totals.balanceDue)}</ram:DuePayableAmount>
+            </ram:SpecifiedTradeSettlementHeaderMonetarySummation>
+        </ram:ApplicableHeaderTradeSettlement>
+    </rsm:SupplyChainTradeTransaction>
+</rsm:CrossIndustryInvoice>
+`.replace(/\n\s*\n/g, "\n");
+    }
+
+    /**
+     * Generate the invoice as UBL 2.1 xml, following EN 16931 and the German XRechnung.
+     * It is declared as XRechnung only with the Leitweg-ID (setBuyerReference), the complete contact of the seller
+     * (setSellerContact), the seller's VAT ID and payment information, otherwise as EN 16931.
+     * @returns {String} xml
+     */
+    generateUBL() {
+        this.#runChecks();
+
+        const totals = this.#calculateTotals();
+        const currency = this.#currency.code;
+        const amount = (minor) => this.#formatDecimal(minor);
+        const date = (value) => this.#formatDateNumber(new Date(value)).replace(/^(\d{4})(\d{2})(\d{2})$/, "$1-$2-$3");
+        const taxCategory = (tag, rate) => `<cac:${tag}>
+                <cbc:ID>${this.#taxCategory(rate)}</cbc:ID>
+                <cbc:Percent>${rate}</cbc:Percent>
+                ${this.#taxExemptionCode(rate) ? `<cbc:TaxExemptionReasonCode>${this.#taxExemptionCode(rate)}</cbc:TaxExemptionReasonCode>` : ""}
+                ${this.#taxExemptionReason(rate) ? `<cbc:TaxExemptionReason>${this.#escapeXml(this.#taxExemptionReason(rate))}</cbc:TaxExemptionReason>` : ""}
+                <cac:TaxScheme>
+                    <cbc:ID>VAT</cbc:ID>
+                </cac:TaxScheme>
+            </cac:${tag}>`;
+        const allowance = (minor, reason, percent) => `<cbc:ChargeIndicator>false</cbc:ChargeIndicator>
+            <cbc:AllowanceChargeReason>${this.#escapeXml(reason)}</cbc:AllowanceChargeReason>
+            ${percent ? `<cbc:MultiplierFactorNumeric>${percent}</cbc:MultiplierFactorNumeric>` : ""}
+            <cbc:Amount currencyID="${currency}">${amount(minor)}</cbc:Amount>`;
+        const address = (street, zip, city, country) => `<cac:PostalAddress>
+                <cbc:StreetName>${this.#escapeXml(street)}</cbc:StreetName>
+                <cbc:CityName>${this.#escapeXml(city)}</cbc:CityName>
+                <cbc:PostalZone>${this.#escapeXml(zip)}</cbc:PostalZone>
+                <cac:Country>
+                    <cbc:IdentificationCode>${this.#countryCode(country)}</cbc:IdentificationCode>
+                </cac:Country>
+            </cac:PostalAddress>`;
+
+        const lines = totals.lines.map((product, i) => `
+    <cac:InvoiceLine>
+        <cbc:ID>${i + 1}</cbc:ID>
+        <cbc:InvoicedQuantity unitCode="${this.#unitCode(product.unit)}">${this.formatQuantity(product.quantity)}</cbc:InvoicedQuantity>
+        <cbc:LineExtensionAmount currencyID="${currency}">${amount(product.netTotal)}</cbc:LineExtensionAmount>
+        ${product.discount ? `<cac:AllowanceCharge>
+            ${allowance(product.discount.net, this.#translate("Discount"), product.discount.percent)}
+        </cac:AllowanceCharge>` : ""}
+        <cac:Item>
+            <cbc:Name>${this.#escapeXml(product.description)}</cbc:Name>
+            ${taxCategory("ClassifiedTaxCategory", product["tax-rate"])}
+        </cac:Item>
+        <cac:Price>
+            <cbc:PriceAmount currencyID="${currency}">${Number(product.netPrice.toFixed(4))}</cbc:PriceAmount>
+        </cac:Price>
+    </cac:InvoiceLine>`);
+
+        // invoice discounts are listed per tax rate, as every allowance has exactly one tax category
+        const discounts = totals.taxRates.flatMap((taxRate) => taxRate.discounts.map((discount) => `
+    <cac:AllowanceCharge>
+        ${allowance(discount.net, discount.description)}
+        ${taxCategory("TaxCategory", taxRate.rate)}
+    </cac:AllowanceCharge>`));
+
+        const taxes = totals.taxRates.map((taxRate) => `
+        <cac:TaxSubtotal>
+            <cbc:TaxableAmount currencyID="${currency}">${amount(taxRate.net)}</cbc:TaxableAmount>
+            <cbc:TaxAmount currencyID="${currency}">${amount(taxRate.tax)}</cbc:TaxAmount>
+            ${taxCategory("TaxCategory", taxRate.rate)}
+        </cac:TaxSubtotal>`);
+
+        // XRechnung needs the Leitweg-ID, electronic addresses, the seller's contact and VAT ID and payment instructions,
+        // without them the invoice only claims EN 16931
+        const xrechnung = Boolean(this.buyerReference && this.businessContactName && this.businessPhone && this.businessEmail && this.vatId && this.#iban);
+        const lineTotal = totals.lines.reduce((sum, product) => sum + product.netTotal, 0);
+        const allowanceTotal = totals.discounts.reduce((sum, discount) => sum + discount.net, 0);
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<ubl:Invoice xmlns:ubl="urn:oasis:names:specification:ubl:schema:xsd:Invoice-2" xmlns:cac="urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2" xmlns:cbc="urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2">
+    <cbc:CustomizationID>${xrechnung ? "urn:cen.eu:en16931:2017#compliant#urn:xeinkauf.de:kosit:xrechnung_3.0" : "urn:cen.eu:en16931:2017"}</cbc:CustomizationID>
+    <cbc:ProfileID>urn:fdc:peppol.eu:2017:poacc:billing:01:1.0</cbc:ProfileID>
+    <cbc:ID>${this.#escapeXml(this.invoiceId)}</cbc:ID>
+    <cbc:IssueDate>${date(this.invoiceDate)}</cbc:IssueDate>
+    ${this.invoiceDueDate ? `<cbc:DueDate>${date(this.invoiceDueDate)}</cbc:DueDate>` : ""}
+    <cbc:InvoiceTypeCode>380</cbc:InvoiceTypeCode>
+    <cbc:DocumentCurrencyCode>${currency}</cbc:DocumentCurrencyCode>
+    ${this.buyerReference ? `<cbc:BuyerReference>${this.#escapeXml(this.buyerReference)}</cbc:BuyerReference>` : ""}
+    <cac:AccountingSupplierParty>
+        <cac:Party>
+            ${this.businessEmail ? `<cbc:EndpointID schemeID="EM">${this.#escapeXml(this.businessEmail)}</cbc:EndpointID>` : ""}
+            <cac:PartyName>
+                <cbc:Name>${this.#escapeXml(this.businessName)}</cbc:Name>
+            </cac:PartyName>
+            ${address(this.businessStreetAddress, this.businessZip, this.businessCity, this.businessCountry)}
+            ${this.vatId ? `<cac:PartyTaxScheme>
+                <cbc:CompanyID>${this.#escapeXml(Invoice.#compactVatId(this.vatId))}</cbc:CompanyID>
+                <cac:TaxScheme>
+                    <cbc:ID>VAT</cbc:ID>
+                </cac:TaxScheme>
+            </cac:PartyTaxScheme>` : ""}
+            <cac:PartyLegalEntity>
+                <cbc:RegistrationName>${this.#escapeXml(this.businessName)}</cbc:RegistrationName>
+            </cac:PartyLegalEntity>
+            ${this.businessContactName || this.businessPhone || this.businessEmail ? `<cac:Contact>
+                ${this.businessContactName ? `<cbc:Name>${this.#escapeXml(this.businessContactName)}</cbc:Name>` : ""}
+                ${this.businessPhone ? `<cbc:Telephone>${this.#escapeXml(this.businessPhone)}</cbc:Telephone>` : ""}
+                ${this.businessEmail ? `<cbc:ElectronicMail>${this.#escapeXml(this.businessEmail)}</cbc:ElectronicMail>` : ""}
+            </cac:Contact>` : ""}
+        </cac:Party>
+    </cac:AccountingSupplierParty>
+    <cac:AccountingCustomerParty>
+        <cac:Party>
+            ${this.buyerReference ? `<cbc:EndpointID schemeID="0204">${this.#escapeXml(this.buyerReference)}</cbc:EndpointID>` : ""}
+            <cac:PartyName>
+                <cbc:Name>${this.#escapeXml(this.clientName)}</cbc:Name>
+            </cac:PartyName>
+            ${address(this.clientStreetAddress, this.clientZip, this.clientCity, this.clientCountry)}
+            ${this.clientVatId ? `<cac:PartyTaxScheme>
+                <cbc:CompanyID>${this.#escapeXml(Invoice.#compactVatId(this.clientVatId))}</cbc:CompanyID>
+                <cac:TaxScheme>
+                    <cbc:ID>VAT</cbc:ID>
+                </cac:TaxScheme>
+            </cac:PartyTaxScheme>` : ""}
+            <cac:PartyLegalEntity>
+                <cbc:RegistrationName>${this.#escapeXml(this.clientName)}</cbc:RegistrationName>
+            </cac:PartyLegalEntity>
+        </cac:Party>
+    </cac:AccountingCustomerParty>
+    ${this.#iban ? `<cac:PaymentMeans>
+        <cbc:PaymentMeansCode>58</cbc:PaymentMeansCode>
+        <cbc:PaymentID>${this.#escapeXml(this.invoiceId)}</cbc:PaymentID>
+        <cac:PayeeFinancialAccount>
+            <cbc:ID>${this.#escapeXml(this.#iban.replace(/\s/g, ""))}</cbc:ID>
+            ${this.#accountName ? `<cbc:Name>${this.#escapeXml(this.#accountName)}</cbc:Name>` : ""}
+            ${this.#bic ? `<cac:FinancialInstitutionBranch>
+                <cbc:ID>${this.#escapeXml(this.#bic)}</cbc:ID>
+            </cac:FinancialInstitutionBranch>` : ""}
+        </cac:PayeeFinancialAccount>
+    </cac:PaymentMeans>` : ""}${discounts.join("")}
+    <cac:TaxTotal>
+        <cbc:TaxAmount currencyID="${currency}">${amount(totals.taxSum)}</cbc:TaxAmount>${taxes.join("")}
+    </cac:TaxTotal>
+    <cac:LegalMonetaryTotal>
+        <cbc:LineExtensionAmount currencyID="${currency}">${amount(lineTotal)}</cbc:LineExtensionAmount>
+        <cbc:TaxExclusiveAmount currencyID="${currency}">${amount(totals.netSum)}</cbc:TaxExclusiveAmount>
+        <cbc:TaxInclusiveAmount currencyID="${currency}">${amount(totals.grossSum)}</cbc:TaxInclusiveAmount>
+        <cbc:AllowanceTotalAmount currencyID="${currency}">${amount(allowanceTotal)}</cbc:AllowanceTotalAmount>
+        <cbc:PrepaidAmount currencyID="${currency}">${amount(totals.paid)}</cbc:PrepaidAmount>
+        ${totals.rounding !== 0 ? `<cbc:PayableRoundingAmount currencyID="${currency}">${amount(totals.rounding)}</cbc:PayableRoundingAmount>` : ""}
+        <cbc:PayableAmount currencyID="${currency}">${amount(totals.balanceDue)}</cbc:PayableAmount>
+    </cac:LegalMonetaryTotal>${lines.join("")}
+</ubl:Invoice>
+`.replace(/\n\s*\n/g, "\n");
+    }
+
+    /**
+     * Get the VAT category code (UNCL5305) of a tax rate, for xml
+     * @param {Number} rate Tax-rate
+     * @returns {String} "S" (standard rate), "E" (exempt) or the category of the tax treatment ("AE", "K", "G")
+     */
+    #taxCategory(rate) {
+        if (rate > 0) {
+            return "S";
+        }
+        return taxTreatments[this.#taxTreatment].category ?? "E";
+    }
+
+    /**
+     * Get the reason why a tax rate is exempt from VAT, for xml
+     * @param {Number} rate Tax-rate
+     * @returns {String | undefined} Reason, the legal notice of the tax treatment, undefined if VAT is charged
+     */
+    #taxExemptionReason(rate) {
+        if (rate > 0) {
+            return undefined;
+        }
+        return this.#taxNotice() ?? this.#translate("VatExempt");
+    }
+
+    /**
+     * Get the legal notice of the tax treatment, small businesses get the wording of the seller's country
+     * @returns {String | undefined} Translated notice, undefined for domestic invoices
+     */
+    #taxNotice() {
+        const { notice, countryNotices } = taxTreatments[this.#taxTreatment];
+        if (notice === undefined) {
+            return undefined;
+        }
+        // countries without their own wording, or unknown ones, get the general notice
+        const country = countryNotices ? this.#findCountryCode(this.businessCountry) : undefined;
+
+        return this.#translate(countryNotices?.[country] ?? notice);
+    }
+
+    /**
+     * Get the exemption reason code (VATEX) of a tax rate, for xml
+     * @param {Number} rate Tax-rate
+     * @returns {String | undefined} Code ("VATEX-EU-AE", ...), undefined if VAT is charged or there is no code
+     */
+    #taxExemptionCode(rate) {
+        return rate > 0 ? undefined : taxTreatments[this.#taxTreatment].exemptionCode;
+    }
+
+    /**
+     * Internal method to generate Header
+     * @param {*} doc 
+     */
+    #generateHeader(doc) {
+        const header = this.#layout.header;
+
+        // the logo takes the place of the business name
+        if (this.#logo) {
+            this.#generateLogo(doc, header.logo.x, header.logo.y, header.logo.width, header.logo.height);
+        }
+        else {
+            this.#font(doc, "Bold").fillColor(this.#accentColor).fontSize(this.#layout.titleSize);
+            this.#text(doc, this.businessName, header.name.x, header.name.y);
+        }
+
+        const address = header.address;
+        const lines = [
+            ...(address.showName ? [this.businessName] : []),
+            this.businessStreetAddress,
+            this.businessCity + " " + this.businessZip + ", " + this.businessCountry,
+            // small businesses exempt from VAT may not have a VAT ID
+            ...(this.vatId ? [this.#translate("VatId") + ": " + this.vatId] : []),
+        ];
+
+        this.#font(doc, "Regular").fillColor(textColor).fontSize(this.#layout.fontSize);
+        lines.forEach((line, index) => {
+            this.#text(doc, line, address.x, address.y + index * address.lineHeight, { width: address.width, align: address.align });
+        });
+        doc.moveDown();
+    }
+
+    /**
+     * Internal method to fit the template to the paper.
+     * Horizontal positions and widths are stretched to the width of the content, vertical positions move
+     * with the top margin, the footer with the bottom margin and the page number with the edge of the paper.
+     * Window and fold marks keep their place, they belong to the envelope.
+     * @param {Number} width Width of the paper
+     * @param {Number} height Height of the paper
+     * @returns {Object} Template for the paper
+     */
+    #pageLayout(width, height) {
+        const template = this.#template;
+        const page = template.page;
+        const [a4Width, a4Height] = paperSizes.A4;
+        const margins = { left: page.left, right: a4Width - page.right, top: page.top, bottom: a4Height - page.bottom, ...this.#margins };
+
+        const scale = (width - margins.left - margins.right) / (page.right - page.left);
+        const top = margins.top - page.top;
+        const bottom = height - margins.bottom - page.bottom;
+        const edge = height - a4Height;
+
+        const box = (box, shift = top) => {
+            const fitted = { ...box };
+            ["x", "valueX"].filter((key) => key in box).forEach((key) => {
+                fitted[key] = margins.left + (box[key] - page.left) * scale;
+            });
+            if ("width" in box) {
+                fitted.width = box.width * scale;
+            }
+            if ("y" in box) {
+                fitted.y = box.y + shift;
+            }
+            return fitted;
+        };
+        const boxes = (group) => Object.fromEntries(Object.entries(group).map(([key, value]) => [key, box(value)]));
+        const { rules, window, ...customer } = template.customer;
+
+        return {
+            ...template,
+            page: { left: margins.left, right: width - margins.right, top: margins.top, bottom: height - margins.bottom },
+            header: boxes(template.header),
+            customer: { ...boxes(customer), rules: rules.map((y) => y + top), window: window },
+            table: { ...template.table, top: template.table.top + top, columns: boxes(template.table.columns) },
+            payments: boxes(template.payments),
+            footer: box(template.footer, bottom),
+            pageNumber: box(template.pageNumber, edge),
+        };
+    }
+
+    /**
+     * Internal method to merge a template into another, nested objects are merged, everything else is replaced
+     * @param {Object} base Template with all parts
+     * @param {Object} template Template with the parts to replace
+     * @returns {Object} Merged template
+     */
+    #mergeTemplate(base, template) {
+        const merged = { ...base };
+        Object.entries(template).forEach(([key, value]) => {
+            const isObject = (object) => object !== null && typeof object === "object" && !Array.isArray(object);
+            merged[key] = isObject(value) && isObject(base[key]) ? this.#mergeTemplate(base[key], value) : value;
+        });
+        return merged;
+    }
+
+    /**
+     * Internal method to load a font
+     * @param {String | Buffer} source Path or content of a TrueType or OpenType font
+     * @returns {Object} Font with data (Buffer) and font (fontkit font)
+     */
+    #loadFont(source) {
+        const data = typeof source === "string" ? readFileSync(source) : Buffer.from(source);
+
+        let font;
+        try {
+            font = fontkit.create(data);
+        }
+        catch (error) {
+            throw new Error(`Unable to load font ${typeof source === "string" ? source : ""}`.trim());
+        }
+        if (typeof font.hasGlyphForCodePoint !== "function") {
+            throw new Error("Font collections are not supported, please use a single TrueType or OpenType font");
+        }
+
+        return { data: data, font: font };
+    }
+
+    /**
+     * Internal method to register the fonts on the document, the built-in Helvetica for those that are not set
+     * @param {*} doc
+     */
+    #registerFonts(doc) {
+        Object.entries({ Regular: "Helvetica", Bold: "Helvetica-Bold", ...this.#fonts }).forEach(([name, font]) => {
+            doc.registerFont(name, typeof font === "string" ? font : font.data);
+        });
+        this.#font(doc, "Regular");
+    }
+
+    /**
+     * Internal method to switch between the regular and the bold font
+     * @param {*} doc
+     * @param {String} style "Regular" or "Bold"
+     * @returns {*} doc
+     */
+    #font(doc, style) {
+        this.#fontStyle = style;
+        return doc.font(style);
+    }
+
+    /**
+     * Internal method to check if a registered font has a character
+     * @param {String} name Registered name of the font
+     * @param {Number} codePoint Unicode code point of the character
+     * @returns {Boolean}
+     */
+    #hasGlyph(name, codePoint) {
+        if (this.#fonts[name]) {
+            return this.#fonts[name].font.hasGlyphForCodePoint(codePoint);
+        }
+        return (codePoint >= 0x20 && codePoint <= 0x7e) || (codePoint >= 0xa0 && codePoint <= 0xff) || winAnsiCharacters.includes(String.fromCodePoint(codePoint));
+    }
+
+    /**
+     * Internal method to get the ascent of a registered font, relative to its line height without gap
+     * @param {String} name Registered name of the font
+     * @returns {Number}
+     */
+    #ascent(name) {
+        const font = this.#fonts[name]?.font;
+        // ascender and descender of Helvetica and Helvetica-Bold are 718 and -207
+        return font ? font.ascent / (font.ascent - font.descent) : 718 / 925;
+    }
+
+    /**
+     * Internal method to split text into runs of the current font and the fallback fonts
+     * @param {String} text
+     * @returns {Array<Object>} Runs with font (registered name) and text
+     */
+    #fontRuns(text) {
+        const fallbacks = Object.keys(this.#fonts).filter((name) => name.startsWith("Fallback"));
+        const runs = [];
+
+        for (const character of text) {
+            const codePoint = character.codePointAt(0);
+            let font = this.#fontStyle;
+            if (!/\s/.test(character) && !this.#hasGlyph(font, codePoint)) {
+                font = fallbacks.find((name) => this.#hasGlyph(name, codePoint)) ?? font;
+            }
+
+            const last = runs[runs.length - 1];
+            if (last && last.font === font) {
+                last.text += character;
+            }
+            else {
+                runs.push({ font: font, text: character });
+            }
+        }
+
+        return runs;
+    }
+
+    /**
+     * Internal method to split a line into font runs in visual order, from left to right.
+     * Right-to-left text is reordered with the Unicode bidi algorithm, fontkit shapes and reverses
+     * Arabic and Hebrew words of embedded fonts itself, all other right-to-left text is reversed here.
+     * @param {String} line Text without line breaks
+     * @returns {Array<Object>} Runs with font (registered name) and text
+     */
+    #visualRuns(line) {
+        if (!rtlCharacters.test(line)) {
+            return this.#fontRuns(line);
+        }
+
+        const embedding = bidi.getEmbeddingLevels(line, this.#isRtl() ? "rtl" : undefined);
+        const mirrored = bidi.getMirroredCharactersMap(line, embedding.levels);
+        const levelRuns = [];
+        for (let i = 0; i < line.length; i++) {
+            const character = mirrored.get(i) ?? line[i];
+            const last = levelRuns[levelRuns.length - 1];
+            if (last && last.level === embedding.levels[i]) {
+                last.text += character;
+            }
+            else {
+                levelRuns.push({ level: embedding.levels[i], text: character });
+            }
+        }
+
+        // reverse every sequence of runs at or above each odd level, from the highest level down
+        const levels = levelRuns.map((run) => run.level);
+        const lowestOddLevel = Math.min(...levels.filter((level) => level % 2 === 1));
+        for (let level = Math.max(...levels); level >= lowestOddLevel; level--) {
+            for (let start = 0; start < levelRuns.length; start++) {
+                if (levelRuns[start].level < level) {
+                    continue;
+                }
+                let end = start;
+                while (end + 1 < levelRuns.length && levelRuns[end + 1].level >= level) {
+                    end++;
+                }
+                levelRuns.splice(start, end - start + 1, ...levelRuns.slice(start, end + 1).reverse());
+                start = end;
+            }
+        }
+
+        return levelRuns.flatMap((levelRun) => {
+            const runs = this.#fontRuns(levelRun.text);
+            if (levelRun.level % 2 === 0) {
+                return runs;
+            }
+            // word by word, fontkit moves the spaces of a reversed run to its start
+            return runs.reverse().flatMap((run) => run.text.split(/(\s+)/).filter((part) => part !== "").reverse().map((part) => {
+                const shapedByFontkit = this.#fonts[run.font] && rtlCharacters.test(part);
+                return { font: run.font, text: shapedByFontkit ? part : [...part].reverse().join("") };
+            }));
+        });
+    }
+
+    /**
+     * Internal method to write text with the fallback fonts and in right-to-left layout.
+     * pdfkit can neither align text of mixed fonts nor reorder right-to-left text, so these lines are wrapped and aligned here.
+     * Positions are mirrored for right-to-left locales.
+     * @param {*} doc
+     * @param {String} text
+     * @param {Number} x Left of the text, the current position if not set
+     * @param {Number} y Top of the text, the current position if not set
+     * @param {Object} options pdfkit text options, only width and align are used for text of mixed fonts
+     * @returns {*} doc
+     */
+    #text(doc, text, x, y, options = {}) {
+        text = String(text ?? "");
+        const primary = this.#fontStyle;
+
+        if (this.#isRtl() && x !== undefined) {
+            const width = options.width ?? this.#layout.page.right - x;
+            const align = { left: "right", right: "left", center: "center" }[options.align ?? "left"];
+            options = { ...options, width: width, align: align };
+            x = this.#x(x, width);
+        }
+
+        if (!rtlCharacters.test(text) && this.#fontRuns(text).every((run) => run.font === primary)) {
+            return doc.text(text, x, y, options);
+        }
+
+        const left = x ?? doc.x;
+        const width = options.width ?? doc.page.width - doc.page.margins.right - left;
+        const lineHeight = doc.currentLineHeight(true);
+        const baseline = doc.currentLineHeight() * this.#ascent(primary);
+        const measure = (line) => this.#fontRuns(line).reduce((sum, run) => sum + doc.font(run.font).widthOfString(run.text), 0);
+        let top = y ?? doc.y;
+
+        text.split("\n").forEach((paragraph) => {
+            const lines = [];
+            let line = "";
+            paragraph.split(" ").forEach((word) => {
+                const candidate = line === "" ? word : `${line} ${word}`;
+                if (line !== "" && measure(candidate) > width) {
+                    lines.push(line);
+                    line = word;
+                }
+                else {
+                    line = candidate;
+                }
+            });
+            lines.push(line);
+
+            lines.forEach((line) => {
+                let position = left;
+                if (options.align === "right") {
+                    position += width - measure(line);
+                }
+                else if (options.align === "center") {
+                    position += (width - measure(line)) / 2;
+                }
+
+                this.#visualRuns(line).forEach((run) => {
+                    doc.font(run.font).text(run.text, position, top + baseline, { lineBreak: false, baseline: "alphabetic" });
+                    position += doc.widthOfString(run.text);
+                });
+                top += lineHeight;
+            });
+        });
+
+        doc.font(primary);
+        doc.x = left;
+        doc.y = top;
+        return doc;
+    }
+
+    /**
+     * Internal method to check a color, as hex code like "#0a5c8a" or "#abc"
+     * @param {String} color
+     */
+    #checkColor(color) {
+        if (typeof color !== "string" || !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color)) {
+            throw new Error(`Invalid color ${color}, expected a hex code like #0a5c8a`);
+        }
+    }
+
+    /**
+     * Internal method to detect the type of a logo
+     * @param {Buffer | String} logo PNG or JPEG as Buffer or data URL, or SVG markup
+     * @returns {Object} Logo with type ("image" or "svg"), data (Buffer or SVG markup) and async (decoded asynchronously)
+     */
+    static #parseLogo(logo) {
+        if (typeof logo === "string") {
+            const dataUrl = logo.match(/^data:image\/(png|jpeg|jpg|svg\+xml)(;base64)?,(.*)$/s);
+            if (dataUrl) {
+                const data = dataUrl[2] ? Buffer.from(dataUrl[3], "base64") : Buffer.from(decodeURIComponent(dataUrl[3]));
+                logo = dataUrl[1] === "svg+xml" ? data.toString("utf8") : data;
+            }
+        }
+
+        if (Buffer.isBuffer(logo)) {
+            const isPng = logo.subarray(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+            const isJpeg = logo.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff]));
+            if (isPng || isJpeg) {
+                // pdfkit decodes transparent and interlaced PNGs asynchronously, see generatePDF()
+                const isAsync = isPng && (logo[25] === 4 || logo[25] === 6 || logo[28] === 1 || logo.includes("tRNS"));
+                return { type: "image", data: logo, async: isAsync };
+            }
+            logo = logo.toString("utf8");
+        }
+
+        if (typeof logo === "string" && /<svg[\s>]/.test(logo)) {
+            return { type: "svg", data: logo };
+        }
+
+        throw new Error("Unsupported logo, please use PNG, JPEG or SVG");
+    }
+
+    /**
+     * Internal method to draw the logo, scaled to fit into the given box
+     * @param {*} doc
+     * @param {Number} x Left of the box
+     * @param {Number} y Top of the box
+     * @param {Number} width Width of the box
+     * @param {Number} height Height of the box
+     */
+    #generateLogo(doc, x, y, width, height) {
+        const rtl = this.#isRtl();
+        x = this.#x(x, width);
+
+        if (this.#logo.type === "svg") {
+            SVGtoPDF(doc, this.#logo.data, x, y, { width: width, height: height, preserveAspectRatio: `${rtl ? "xMax" : "xMin"}YMin meet` });
+        }
+        else {
+            doc.image(this.#logo.data, x, y, { fit: [width, height], align: rtl ? "right" : "left" });
+        }
+    }
+
+    /**
+     * Internal method to check if the locale is written from right to left
+     * @returns {Boolean}
+     */
+    #isRtl() {
+        return rtlLocales.includes(this.locale.split("-")[0]);
+    }
+
+    /**
+     * Internal method to get the left of a box, mirrored at the center of the content for right-to-left locales
+     * @param {Number} x Left of the box in the left-to-right layout
+     * @param {Number} width Width of the box
+     * @returns {Number}
+     */
+    #x(x, width) {
+        const page = this.#layout.page;
+        return this.#isRtl() ? page.left + page.right - x - width : x;
+    }
+
+    /**
+     * Internal method to generate Customer Information
+     * @param {*} doc 
+     */
+    #generateCustomerInformation(doc) {
+        const totals = this.#calculateTotals();
+        const customer = this.#layout.customer;
+
+        doc.fillColor(this.#accentColor).fontSize(this.#layout.titleSize);
+        this.#text(doc, this.#translate("Invoice"), customer.title.x, customer.title.y, { width: customer.title.width, align: customer.title.align });
+        doc.fillColor(textColor);
+
+        if (totals.balanceDue <= 0) {
+            this.#font(doc, "Bold").fillColor(this.#accentColor);
+            this.#text(doc, this.#translate("Paid"), customer.paid.x, customer.paid.y, { width: customer.paid.width, align: customer.paid.align });
+            this.#font(doc, "Regular").fillColor(textColor);
+        }
+
+        customer.rules.forEach((y) => this.#generateHr(doc, y));
+
+        const details = customer.details;
+        const labelWidth = details.valueX - details.x;
+
+        doc.fontSize(this.#layout.fontSize);
+        this.#text(doc, this.#translate("InvoiceNr"), details.x, details.y, { width: labelWidth });
+        this.#font(doc, "Bold");
+        this.#text(doc, this.invoiceId, details.valueX, details.y, { width: details.width });
+        this.#font(doc, "Regular");
+        this.#text(doc, this.#translate("InvoiceDate"), details.x, details.y + details.lineHeight, { width: labelWidth });
+        this.#text(doc, this.formatDate(new Date(this.invoiceDate)), details.valueX, details.y + details.lineHeight, { width: details.width });
+        this.#text(doc, `${this.#translate("BalanceDue")}:`, details.x, details.y + 2 * details.lineHeight, { width: labelWidth });
+        this.#text(
+            doc,
+            this.#formatMinorUnits(totals.balanceDue),
+            details.valueX,
+            details.y + 2 * details.lineHeight,
+            { width: details.width }
+        );
+
+        if (customer.window) {
+            // the window only has room for the address
+            if (this.clientVatId) {
+                this.#text(doc, this.#translate("ClientVatId"), details.x, details.y + 3 * details.lineHeight, { width: labelWidth });
+                this.#text(doc, this.clientVatId, details.valueX, details.y + 3 * details.lineHeight, { width: details.width });
+            }
+            this.#generateAddressWindow(doc);
+            return;
+        }
+
+        const client = customer.client;
+        this.#font(doc, "Bold");
+        this.#text(doc, this.clientName, client.x, client.y, { width: client.width });
+        this.#font(doc, "Regular");
+        this.#text(doc, this.clientStreetAddress, client.x, client.y + client.addressTop, { width: client.width });
+        this.#text(
+            doc,
+            this.clientZip +
+            ", " +
+            this.clientCity +
+            ", " +
+            this.clientCountry,
+            client.x,
+            client.y + client.addressTop + client.lineHeight,
+            { width: client.width }
+        );
+        if (this.clientVatId) {
+            this.#text(doc, `${this.#translate("VatId")}: ${this.clientVatId}`, client.x, client.y + client.addressTop + 2 * client.lineHeight, { width: client.width });
+        }
+        doc.moveDown();
+    }
+
+    /**
+     * Internal method to generate the address of a window envelope (DIN 5008): the return line of the sender
+     * at the bottom of the endorsement zone and the address of the client below it.
+     * @param {*} doc
+     */
+    #generateAddressWindow(doc) {
+        const window = this.#layout.customer.window;
+        // the window is on the left in every language, #text mirrors it back for right-to-left locales
+        const x = this.#x(window.x, window.width);
+
+        const returnLine = [this.businessName, this.businessStreetAddress, `${this.businessZip} ${this.businessCity}`].join(" · ");
+        doc.fontSize(window.returnSize);
+        this.#text(doc, returnLine, x, window.returnLine, { width: window.width, lineBreak: false });
+
+        const lines = [this.clientName, this.clientStreetAddress, `${this.clientZip} ${this.clientCity}`];
+        // the country is only written for letters abroad
+        if (String(this.clientCountry).toLowerCase() !== String(this.businessCountry).toLowerCase()) {
+            lines.push(String(this.clientCountry).toUpperCase());
+        }
+
+        doc.fontSize(this.#layout.fontSize);
+        lines.forEach((line, index) => {
+            this.#text(doc, line, x, window.addressTop + index * window.lineHeight, { width: window.width, lineBreak: false });
+        });
+    }
+
+    /**
+     * Internal method to generate the fold marks and the hole punch mark on the left edge of the first page
+     * @param {*} doc
+     */
+    #generateFoldMarks(doc) {
+        const marks = this.#layout.marks;
+        if (!marks) {
+            return;
+        }
+
+        doc.strokeColor(this.#secondaryColor).lineWidth(0.5);
+        marks.fold.forEach((y) => doc.moveTo(marks.x, y).lineTo(marks.x + marks.length, y));
+        doc.moveTo(marks.x, marks.punch).lineTo(marks.x + marks.punchLength, marks.punch).stroke();
+    }
+
+    /**
+     * Internal method to generate invoice table.
+     * The table continues on a new page with the column header and the subtotal carried forward,
+     * when the rows would run into the footer.
+     * @param {*} doc 
+     * @returns {Number} Position of the last row
+     */
+    #generateInvoiceTable(doc) {
+        const table = this.#layout.table;
+        const invoiceTableTop = table.top;
+        const rowHeight = table.rowHeight;
+        const totals = this.#calculateTotals();
+
+        this.#generateTableHeader(doc, invoiceTableTop);
+
+        // sums of all rows so far, for the subtotal carried forward
+        let position = invoiceTableTop;
+        let netSubtotal = 0;
+        let grossSubtotal = 0;
+
+        // one more row has to fit for the subtotal carried forward
+        const ensureSpace = (height) => {
+            if (position + height + rowHeight <= this.#layout.page.bottom) {
+                return;
+            }
+
+            this.#font(doc, "Bold");
+            this.#generateSubtotalRow(doc, position + rowHeight, this.#translate("CarriedForward"), netSubtotal, grossSubtotal);
+            this.#addPage(doc);
+            position = this.#layout.page.top;
+            this.#generateTableHeader(doc, position);
+            position += rowHeight;
+            this.#font(doc, "Bold");
+            this.#generateSubtotalRow(doc, position, this.#translate("BroughtForward"), netSubtotal, grossSubtotal);
+            this.#font(doc, "Regular");
+            this.#generateHr(doc, position + rowHeight - 10);
+        };
+
+        totals.lines.forEach((product) => {
+            const discount = product.discount || { net: 0, gross: 0 };
+
+            ensureSpace(product.discount ? rowHeight + 15 : rowHeight);
+            position += rowHeight;
+            this.#generateTableRow(
+                doc,
+                position,
+                product.description,
+                this.formatQuantity(product.quantity),
+                product.unit,
+                this.formatCurrency(product.netPrice),
+                this.#formatMinorUnits(product.netTotal + discount.net),
+                this.#formatMinorUnits(product.grossTotal + discount.gross)
+            );
+
+            if (product.discount) {
+                position += 15;
+                this.#generateTableRow(
+                    doc,
+                    position,
+                    this.#discountLabel(this.#translate("Discount"), discount),
+                    "",
+                    "",
+                    "",
+                    this.#formatMinorUnits(-discount.net),
+                    this.#formatMinorUnits(-discount.gross)
+                );
+            }
+
+            if (table.rowRules) {
+                this.#generateHr(doc, position + rowHeight - 10);
+            }
+            netSubtotal += product.netTotal;
+            grossSubtotal += product.grossTotal;
+        });
+
+        totals.discounts.forEach((discount) => {
+            ensureSpace(rowHeight);
+            position += rowHeight;
+            this.#generateTableRow(
+                doc,
+                position,
+                this.#discountLabel(discount.description, discount),
+                "",
+                "",
+                "",
+                this.#formatMinorUnits(-discount.net),
+                this.#formatMinorUnits(-discount.gross)
+            );
+
+            if (table.rowRules) {
+                this.#generateHr(doc, position + rowHeight - 10);
+            }
+            netSubtotal -= discount.net;
+            grossSubtotal -= discount.gross;
+        });
+
+        // without rules between the rows, only the sum is separated
+        if (!table.rowRules) {
+            this.#generateHr(doc, position + rowHeight - 10);
+        }
+
+        const subtotalPosition = position + rowHeight;
+        this.#font(doc, "Bold");
+        this.#generateSubtotalRow(doc, subtotalPosition, this.#translate("Sum"), totals.netSum, totals.grossSum);
+        this.#font(doc, "Regular");
+
+        const taxSummaryTop = this.#ensureSpace(doc, subtotalPosition + 40, this.#taxSummaryHeight(totals));
+        let taxSummaryBottom = this.#generateTaxSummary(doc, taxSummaryTop, totals);
+
+        const notice = this.#taxNotice();
+        if (notice) {
+            taxSummaryBottom = this.#generateTaxNotice(doc, taxSummaryBottom + 30, notice);
+        }
+
+        if (totals.payments.length === 0) {
+            return taxSummaryBottom;
+        }
+
+        const paymentsTop = this.#ensureSpace(doc, taxSummaryBottom + 30, 20 * totals.payments.length + 60);
+        return this.#generatePayments(doc, paymentsTop, totals);
+    }
+
+    /**
+     * Internal method to generate the column header of the invoice table
+     * @param {*} doc
+     * @param {Number} y Top of the header
+     */
+    #generateTableHeader(doc, y) {
+        const table = this.#layout.table;
+        const page = this.#layout.page;
+
+        if (table.headerFill) {
+            doc.rect(page.left, y - 6, page.right - page.left, table.rowHeight - 6).fill(this.#accentColor);
+            this.#font(doc, "Bold").fillColor("#ffffff");
+        }
+        else {
+            this.#font(doc, "Bold").fillColor(this.#accentColor);
+        }
+        this.#generateTableRow(
+            doc,
+            y,
+            this.#translate("Item"),
+            this.#translate("Quantitiy"),
+            this.#translate("Unit"),
+            this.#translate("UnitCost"),
+            this.#translate("Net"),
+            this.#translate("Total")
+        );
+        if (!table.headerFill) {
+            this.#generateHr(doc, y + table.rowHeight - 10);
+        }
+        this.#font(doc, "Regular").fillColor(textColor);
+    }
+
+    /**
+     * Internal method to generate a row with only net and gross amount, like the sum
+     * @param {*} doc
+     * @param {Number} y Position of the row
+     * @param {String} title Title of the row
+     * @param {Number} net Net amount in minor units
+     * @param {Number} gross Gross amount in minor units
+     */
+    #generateSubtotalRow(doc, y, title, net, gross) {
+        this.#generateTableRow(
+            doc,
+            y,
+            title,
+            "",
+            "",
+            "",
+            this.#formatMinorUnits(net),
+            this.#formatMinorUnits(gross)
+        );
+    }
+
+    /**
+     * Internal method to add a page, a new page starts with black text otherwise
+     * @param {*} doc
+     */
+    #addPage(doc) {
+        doc.addPage().fillColor(textColor);
+    }
+
+    /**
+     * Start a new page, if a block of the given height does not fit above the footer
+     * @param {*} doc
+     * @param {Number} y Top of the block
+     * @param {Number} height Height of the block
+     * @returns {Number} Top of the block, on the current or the new page
+     */
+    #ensureSpace(doc, y, height) {
+        if (y + height <= this.#layout.page.bottom) {
+            return y;
+        }
+
+        this.#addPage(doc);
+        return this.#layout.page.top;
+    }
+
+    /**
+     * Internal method to generate the legal notice of the tax treatment, like "Reverse charge"
+     * @param {*} doc
+     * @param {Number} y Top of the notice
+     * @param {String} notice Translated notice
+     * @returns {Number} Position of the last line
+     */
+    #generateTaxNotice(doc, y, notice) {
+        const page = this.#layout.page;
+        const width = page.right - page.left;
+        this.#font(doc, "Bold");
+        const height = doc.heightOfString(notice, { width: width });
+        y = this.#ensureSpace(doc, y, height);
+
+        this.#text(doc, notice, page.left, y, { width: width });
+        this.#font(doc, "Regular");
+
+        return y + height - doc.currentLineHeight(true);
+    }
+
+    /**
+     * Label of a discount row, for example "Project discount 10%"
+     * @param {String} title Title of discount
+     * @param {Object} discount Discount with percent or amount
+     * @returns {String} Label
+     */
+    #discountLabel(title, discount) {
+        return discount.percent ? `${title} ${this.formatQuantity(discount.percent)}%` : title;
+    }
+
+    /**
+     * Height of the tax summary, to know if it fits on the page
+     * @param {Object} totals Result of #calculateTotals()
+     * @returns {Number} Height
+     */
+    #taxSummaryHeight(totals) {
+        const discountRows = totals.taxRates.reduce((rows, taxRate) => rows + taxRate.discounts.length, 0);
+
+        return 20 * totals.taxRates.length + 15 * discountRows + 35;
+    }
+
+    /**
+     * Internal method to generate the tax summary, net, VAT and gross per tax rate.
+     * Invoice discounts are listed below the rate they are included in.
+     * @param {*} doc
+     * @param {Number} y Top of the tax summary
+     * @param {Object} totals Result of #calculateTotals()
+     * @returns {Number} Position of the last row
+     */
+    #generateTaxSummary(doc, y, totals) {
+        this.#font(doc, "Bold").fillColor(this.#accentColor);
+        this.#generateTableRow(
+            doc,
+            y,
+            this.#translate("TaxRate"),
+            "",
+            "",
+            this.#translate("Net"),
+            this.#translate("Vat"),
+            this.#translate("Gross")
+        );
+        this.#generateHr(doc, y + 15);
+        this.#font(doc, "Regular").fillColor(textColor);
+
+        totals.taxRates.forEach((taxRate) => {
+            y += 20;
+            this.#generateTableRow(
+                doc,
+                y,
+                `${this.formatQuantity(taxRate.rate)}%`,
+                "",
+                "",
+                this.#formatMinorUnits(taxRate.net),
+                this.#formatMinorUnits(taxRate.tax),
+                this.#formatMinorUnits(taxRate.gross)
+            );
+
+            taxRate.discounts.forEach((discount) => {
+                y += 15;
+                this.#generateTableRow(
+                    doc,
+                    y,
+                    `    ${this.#translate("Including")} ${discount.description}`,
+                    "",
+                    "",
+                    this.#formatMinorUnits(-discount.net),
+                    this.#formatMinorUnits(-discount.tax),
+                    this.#formatMinorUnits(-discount.gross)
+                );
+            });
+        });
+
+        y += 20;
+        this.#generateHr(doc, y - 5);
+        this.#font(doc, "Bold");
+        this.#generateTableRow(
+            doc,
+            y,
+            this.#translate("Total"),
+            "",
+            "",
+            this.#formatMinorUnits(totals.netSum),
+            this.#formatMinorUnits(totals.taxSum),
+            this.#formatMinorUnits(totals.grossSum)
+        );
+        this.#font(doc, "Regular");
+
+        return y;
+    }
+
+    /**
+     * Internal method to generate the list of payments, paid to date and balance due.
+     * @param {*} doc
+     * @param {Number} y Top of the payments
+     * @param {Object} totals Result of #calculateTotals()
+     * @returns {Number} Position of the last row
+     */
+    #generatePayments(doc, y, totals) {
+        const columns = this.#layout.payments;
+        const cell = (text, column, y) => this.#text(doc, text, column.x, y, { width: column.width, align: column.align });
+        const label = (text, y) => this.#text(doc, text, columns.date.x, y, { width: columns.amount.x - columns.date.x });
+
+        this.#font(doc, "Bold").fillColor(this.#accentColor).fontSize(this.#layout.fontSize);
+        label(this.#translate("Payments"), y);
+        this.#generateHr(doc, y + 15);
+        this.#font(doc, "Regular").fillColor(textColor);
+
+        totals.payments.forEach((payment) => {
+            y += 20;
+            cell(this.formatDate(payment.date), columns.date, y);
+            cell(payment.method, columns.method, y);
+            cell(payment.reference, columns.reference, y);
+            cell(this.#formatMinorUnits(payment.amount), columns.amount, y);
+        });
+
+        y += 20;
+        this.#generateHr(doc, y - 5);
+        label(this.#translate("PaidToDate"), y);
+        cell(this.#formatMinorUnits(totals.paid), columns.amount, y);
+        this.#font(doc, "Bold");
+        label(this.#translate("BalanceDue"), y + 20);
+        cell(this.#formatMinorUnits(totals.balanceDue), columns.amount, y + 20);
+        this.#font(doc, "Regular");
+
+        return y + 20;
+    }
+
+    /**
+     * Internal method to generate the EPC QR code (GiroCode) for SEPA credit transfers,
+     * banking apps fill in the transfer by scanning it.
+     * Only generated for invoices in euro with IBAN, BIC and account name and an open balance.
+     * @param {*} doc
+     * @param {Number} y Top of the QR code
+     */
+    #generatePaymentQR(doc, y) {
+        const balanceDue = this.#calculateTotals().balanceDue;
+        if (this.#currency.code !== "EUR" || !this.#iban || !this.#bic || !this.#accountName || balanceDue <= 0) {
+            return;
+        }
+
+        // EPC069-12, version 002, UTF-8, SEPA credit transfer
+        const payload = [
+            "BCD",
+            "002",
+            "1",
+            "SCT",
+            this.#bic.replace(/\s/g, ""),
+            this.#accountName.substring(0, 70),
+            this.#iban.replace(/\s/g, ""),
+            `EUR${this.#formatDecimal(balanceDue)}`,
+            "",
+            "",
+            String(this.invoiceId).substring(0, 140),
+        ].join("\n");
+
+        const size = 90;
+        y = this.#ensureSpace(doc, y, size + 15);
+        const left = this.#layout.page.left;
+        this.#generateQRCode(doc, QRCode.create(payload, { errorCorrectionLevel: "M" }), this.#x(left, size), y, size);
+
+        doc.fontSize(this.#layout.fontSize);
+        this.#text(doc, this.#translate("PayWithCode"), left + size + 15, y + size / 2 - 5, { width: 300 });
+    }
+
+    /**
+     * Check that the Swiss QR-bill can be generated: CHF or EUR, IBAN of Switzerland or Liechtenstein
+     */
+    #checkSwissQRBill() {
+        if (!["CHF", "EUR"].includes(this.#currency.code)) {
+            throw new Error("The Swiss QR-bill is only available for invoices in CHF or EUR");
+        }
+        if (!this.#iban || !/^(CH|LI)/.test(this.#iban.replace(/\s/g, "").toUpperCase())) {
+            throw new Error("The Swiss QR-bill needs an IBAN of Switzerland or Liechtenstein, please use setPaymentInfo");
+        }
+        if (this.#isQRIBAN() && !/\d/.test(this.invoiceId)) {
+            throw new Error("A QR-IBAN needs a QR reference, the invoice id has to contain digits");
+        }
+    }
+
+    /**
+     * Check if the IBAN is a QR-IBAN, these have an institution id of 30000-31999
+     * @returns {Boolean} true for QR-IBAN
+     */
+    #isQRIBAN() {
+        const institutionId = Number(this.#iban.replace(/\s/g, "").substring(4, 9));
+        return institutionId >= 30000 && institutionId <= 31999;
+    }
+
+    /**
+     * Reference of the Swiss QR-bill, built from the invoice id.
+     * QR-IBANs need a QR reference (QRR, 27 digits), other IBANs get a creditor reference (SCOR, ISO 11649).
+     * @returns {Object} type ("QRR", "SCOR" or "NON"), reference and the reference formatted for display
+     */
+    #swissQRBillReference() {
+        if (this.#isQRIBAN()) {
+            const digits = String(this.invoiceId).replace(/\D/g, "").slice(-26).padStart(26, "0");
+
+            // modulo 10, recursive
+            const table = [0, 9, 4, 6, 8, 2, 7, 1, 3, 5];
+            let carry = 0;
+            for (const digit of digits) {
+                carry = table[(carry + Number(digit)) % 10];
+            }
+            const reference = digits + (10 - carry) % 10;
+
+            return { type: "QRR", reference: reference, display: reference.replace(/^(\d{2})(\d{5})(\d{5})(\d{5})(\d{5})(\d{5})$/, "$1 $2 $3 $4 $5 $6") };
+        }
+
+        const creditorReference = String(this.invoiceId).toUpperCase().replace(/[^A-Z0-9]/g, "").substring(0, 21);
+        if (creditorReference === "") {
+            return { type: "NON", reference: "", display: "" };
+        }
+
+        const remainder = Invoice.#mod97(creditorReference + "RF00");
+        const reference = `RF${String(98 - remainder).padStart(2, "0")}${creditorReference}`;
+
+        return { type: "SCOR", reference: reference, display: reference.replace(/(.{4})/g, "$1 ").trim() };
+    }
+
+    /**
+     * Internal method to generate the Swiss QR-bill, receipt and payment part with the Swiss QR code,
+     * at the bottom of a new page (Swiss Payment Standards, version 2.3)
+     * @param {*} doc
+     */
+    #generateSwissQRBill(doc) {
+        const totals = this.#calculateTotals();
+        const iban = this.#iban.replace(/\s/g, "").toUpperCase();
+        const reference = this.#swissQRBillReference();
+        const amount = totals.balanceDue > 0 ? this.#formatDecimal(totals.balanceDue) : "";
+        const message = `${this.#translate("Invoice")} ${this.invoiceId}`;
+
+        const creditor = [this.businessName, this.businessStreetAddress, "", this.businessZip, this.businessCity, this.#countryCode(this.businessCountry)];
+        const debtor = [this.clientName, this.clientStreetAddress, "", this.clientZip, this.clientCity, this.#countryCode(this.clientCountry)];
+
+        // structured addresses (S), the ultimate creditor is not in use yet and stays empty
+        const payload = [
+            "SPC",
+            "0200",
+            "1",
+            iban,
+            "S",
+            ...creditor.map((line) => String(line ?? "").substring(0, 70)),
+            "", "", "", "", "", "", "",
+            amount,
+            this.#currency.code,
+            "S",
+            ...debtor.map((line) => String(line ?? "").substring(0, 70)),
+            reference.type,
+            reference.reference,
+            message.substring(0, 140),
+            "EPD",
+        ].join("\n");
+
+        const mm = 72 / 25.4;
+        this.#addPage(doc);
+        const top = doc.page.height - 105 * mm;
+        const receiptWidth = 62 * mm;
+
+        // perforation lines
+        doc
+            .lineWidth(0.5)
+            .strokeColor("#000000")
+            .dash(3, { space: 3 })
+            .moveTo(0, top)
+            .lineTo(doc.page.width, top)
+            .moveTo(receiptWidth, top)
+            .lineTo(receiptWidth, doc.page.height)
+            .stroke()
+            .undash();
+
+        // the QR-bill prescribes Helvetica, Arial or Frutiger, the fonts of setFonts() are not used here
+        doc.fillColor("#000000");
+        const displayIban = iban.replace(/(.{4})/g, "$1 ").trim();
+        const displayAmount = amount.replace(/\B(?=(\d{3})+\.)/g, " ");
+        // the country is only shown for addresses outside of Switzerland and Liechtenstein
+        const address = (lines) => [lines[0], lines[1], `${["CH", "LI"].includes(lines[5]) ? "" : `${lines[5]}-`}${lines[3]} ${lines[4]}`];
+
+        // writes a heading with its lines below, returns the position after it
+        const section = (x, y, width, headingSize, valueSize, heading, lines) => {
+            doc.font("Helvetica-Bold").fontSize(headingSize).text(heading, x, y, { width: width });
+            doc.font("Helvetica").fontSize(valueSize);
+            lines.forEach((line) => doc.text(line, { width: width }));
+            return doc.y + valueSize;
+        };
+
+        // receipt
+        let x = 5 * mm;
+        let y = top + 5 * mm;
+        let width = 52 * mm;
+        doc.font("Helvetica-Bold").fontSize(11).text(this.#translate("QRBillReceipt"), x, y);
+        y = top + 12 * mm;
+        y = section(x, y, width, 6, 8, this.#translate("QRBillAccount"), [displayIban, ...address(creditor)]);
+        if (reference.type !== "NON") {
+            y = section(x, y, width, 6, 8, this.#translate("QRBillReference"), [reference.display]);
+        }
+        section(x, y, width, 6, 8, this.#translate("QRBillPayableBy"), address(debtor));
+        section(x, top + 68 * mm, 12 * mm, 6, 8, this.#translate("QRBillCurrency"), [this.#currency.code]);
+        section(x + 12 * mm, top + 68 * mm, 40 * mm, 6, 8, this.#translate("QRBillAmount"), [displayAmount]);
+        doc
+            .font("Helvetica-Bold")
+            .fontSize(6)
+            .text(this.#translate("QRBillAcceptancePoint"), x, top + 82 * mm, { width: width, align: "right" });
+
+        // payment part
+        x = receiptWidth + 5 * mm;
+        doc.font("Helvetica-Bold").fontSize(11).text(this.#translate("QRBillPaymentPart"), x, top + 5 * mm);
+        this.#generateQRCode(doc, QRCode.create(payload, { errorCorrectionLevel: "M" }), x, top + 17 * mm, 46 * mm, 0);
+        this.#generateSwissCross(doc, x + 23 * mm, top + 40 * mm, 7 * mm);
+        doc.fillColor("#000000");
+        section(x, top + 68 * mm, 15 * mm, 8, 10, this.#translate("QRBillCurrency"), [this.#currency.code]);
+        section(x + 15 * mm, top + 68 * mm, 36 * mm, 8, 10, this.#translate("QRBillAmount"), [displayAmount]);
+
+        x = receiptWidth + 56 * mm;
+        y = top + 5 * mm;
+        width = 87 * mm;
+        y = section(x, y, width, 8, 10, this.#translate("QRBillAccount"), [displayIban, ...address(creditor)]);
+        if (reference.type !== "NON") {
+            y = section(x, y, width, 8, 10, this.#translate("QRBillReference"), [reference.display]);
+        }
+        y = section(x, y, width, 8, 10, this.#translate("QRBillAdditionalInformation"), [message]);
+        section(x, y, width, 8, 10, this.#translate("QRBillPayableBy"), address(debtor));
+
+        doc.fillColor(textColor);
+        this.#font(doc, "Regular");
+    }
+
+    /**
+     * Internal method to draw the Swiss cross in the center of the Swiss QR code
+     * @param {*} doc
+     * @param {Number} centerX Horizontal center of the cross
+     * @param {Number} centerY Vertical center of the cross
+     * @param {Number} size Width and height, including the white border
+     */
+    #generateSwissCross(doc, centerX, centerY, size) {
+        const square = size * 6 / 7;
+        const barLength = square * 0.65;
+        const barWidth = square * 0.2;
+
+        doc.rect(centerX - size / 2, centerY - size / 2, size, size).fill("#ffffff");
+        doc.rect(centerX - square / 2, centerY - square / 2, square, square).fill("#000000");
+        doc
+            .rect(centerX - barWidth / 2, centerY - barLength / 2, barWidth, barLength)
+            .rect(centerX - barLength / 2, centerY - barWidth / 2, barLength, barWidth)
+            .fill("#ffffff");
+    }
+
+    /**
+     * Internal method to draw a QR code
+     * @param {*} doc
+     * @param {Object} qrCode Result of QRCode.create()
+     * @param {Number} x Left of the QR code
+     * @param {Number} y Top of the QR code
+     * @param {Number} size Width and height of the QR code
+     * @param {Number} quietZone Empty modules around the QR code, included in the size
+     */
+    #generateQRCode(doc, qrCode, x, y, size, quietZone = 4) {
+        const modules = qrCode.modules;
+        const moduleSize = size / (modules.size + 2 * quietZone);
+
+        for (let row = 0; row < modules.size; row++) {
+            for (let column = 0; column < modules.size; column++) {
+                if (modules.get(row, column)) {
+                    doc.rect(x + (column + quietZone) * moduleSize, y + (row + quietZone) * moduleSize, moduleSize, moduleSize);
+                }
+            }
+        }
+
+        doc.fillColor("#000000").fill();
+        doc.fillColor(textColor);
+    }
+
+    /**
+     * Internal method to get the text of the footer, the standard text depends on the products and the tax treatment
+     * @returns {String} Footer text with "<br>" as line breaks, empty without setFooter()
+     */
+    #footer() {
+        if (this.#footerText === undefined) {
+            return "";
+        }
+
+        // invoices without VAT for other reasons print their own notice, see setTaxTreatment()
+        let text = this.#netEqualsGross === true && this.#taxTreatment === "domestic"
+            ? this.#translate('NetEqualsGrossText')
+            : this.#translate('DefaultFooterText');
+        // the payment term follows the due date, it is not part of the texts above, paid invoices have none
+        if (!isNaN(new Date(this.invoiceDueDate ?? NaN)) && this.#calculateTotals().balanceDue > 0) {
+            text += ` ${this.#translate('PaymentTermText').replace("{date}", this.formatDate(new Date(this.invoiceDueDate)))}`;
+        }
+
+        return text + this.#footerText;
+    }
+
+    /**
+     * Internal method to generate footer
+     * @param {*} doc 
+     */
+    #generateFooter(doc) {
+        const lines = this.#footer().split("<br>");
+        const footer = this.#layout.footer;
+        const page = this.#layout.page;
+
+        let y = footer.y;
+
+        doc.fillColor(this.#accentColor);
+        lines.forEach((line) => {
+            doc.fontSize(this.#layout.fontSize);
+            this.#text(
+                doc,
+                line,
+                page.left,
+                y,
+                { align: footer.align, width: page.right - page.left }
+            );
+            y += footer.lineHeight;
+        })
+        doc.fillColor(textColor);
+    }
+
+    /**
+     * Internal method to generate "Page X of Y" at the bottom of the page
+     * @param {*} doc
+     * @param {Number} page Number of current page
+     * @param {Number} pageCount Number of pages
+     */
+    #generatePageNumber(doc, page, pageCount) {
+        const pageNumber = this.#layout.pageNumber;
+        const content = this.#layout.page;
+
+        doc.fontSize(pageNumber.fontSize);
+        this.#text(
+            doc,
+            this.#translate("PageXOfY").replace("{page}", page).replace("{pages}", pageCount),
+            content.left,
+            pageNumber.y,
+            { align: pageNumber.align, width: content.right - content.left }
+        );
+    }
+
+    #generateTableRow(doc, y, title, quantity, unit, unitCost, netTotal, lineTotal) {
+        const columns = this.#layout.table.columns;
+        const cells = { title: title, quantity: quantity, unit: unit, unitCost: unitCost, net: netTotal, total: lineTotal };
+
+        doc.fontSize(this.#layout.fontSize);
+        Object.entries(cells).forEach(([key, text]) => {
+            const column = columns[key];
+            this.#text(doc, text, column.x, y, { width: column.width, align: column.align });
+        });
+    }
+
+    #generateHr(doc, y) {
+        const page = this.#layout.page;
+
+        doc
+            .strokeColor(this.#secondaryColor)
+            .lineWidth(this.#layout.ruleWidth)
+            .moveTo(page.left, y)
+            .lineTo(page.right, y)
+            .stroke();
+    }
+
+    /**
+     * Format a number to currency
+     * @param {Number | String} amount for example 2.12001 
+     * @returns {String} for example €2.12
+     */
+    formatCurrency(amount) {
+        const sign = Number(amount) < 0 ? "-" : "";
+        return sign + this.#currency.symbol + Math.abs(Number(amount)).toFixed(this.#currency.decimal_digits);
+    }
+
+    /**
+     * Format an amount in minor units to currency
+     * @param {Number} minor for example 212
+     * @returns {String} for example €2.12
+     */
+    #formatMinorUnits(minor) {
+        return this.formatCurrency(this.#round(minor) / 10 ** this.#currency.decimal_digits);
+    }
+
+    /**
+     * Format an amount in minor units as decimal number, for xml
+     * @param {Number} minor for example 212
+     * @returns {String} for example 2.12
+     */
+    #formatDecimal(minor) {
+        const digits = this.#currency.decimal_digits;
+        return (this.#round(minor) / 10 ** digits).toFixed(digits);
+    }
+
+    /**
+     * Format date as number, for xml
+     * @param {Date} date
+     * @returns {String} for example 20240131
+     */
+    #formatDateNumber(date) {
+        if (!(date instanceof Date) || isNaN(date)) {
+            throw new Error("Please supply a valid date obj. #invoicejs");
+        }
+
+        return String(date.getFullYear()) +
+            String(date.getMonth() + 1).padStart(2, "0") +
+            String(date.getDate()).padStart(2, "0");
+    }
+
+    /**
+     * Escape text for xml
+     * @param {String} text
+     * @returns {String} escaped text
+     */
+    #escapeXml(text) {
+        return String(text ?? "")
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&apos;");
+    }
+
+    /**
+     * Get UN/ECE Recommendation 20 code of a unit
+     * @param {String} unit Unit of product ("h", "pcs", ...)
+     * @returns {String} Unit code ("HUR", "H87", ...)
+     */
+    #unitCode(unit) {
+        return unitCodes[String(unit).toLowerCase()] || "C62";
+    }
+
+    /**
+     * Get ISO 3166-1 alpha-2 code of a country
+     * @param {String} country Name of country ("Austria", "Österreich") or its code ("AT")
+     * @returns {String} Country code ("AT")
+     */
+    #countryCode(country) {
+        const code = this.#findCountryCode(country);
+        if (code === undefined) {
+            throw new Error(`Unable to find country code of "${String(country ?? "").trim()}", please use the ISO 3166 code`);
+        }
+
+        return code;
+    }
+
+    /**
+     * Internal method to look up the ISO 3166-1 alpha-2 code of a country in json/countries.json
+     * @param {String} country Name of country ("Austria", "Österreich") or its code ("AT")
+     * @returns {String | undefined} Country code ("AT"), undefined if the country is unknown
+     */
+    #findCountryCode(country) {
+        country = String(country ?? "").trim();
+        const location = path.resolve(countryLocation); // see top of file
+        const countries = JSON.parse(readFileSync(location));
+
+        if (countries[country.toUpperCase()] !== undefined) {
+            return country.toUpperCase();
+        }
+
+        return Object.keys(countries).find((key) =>
+            countries[key].names.some((name) => name.toLowerCase() === country.toLowerCase())
+        );
+    }
+
+    /**
+     * Format a quantity, drops trailing zeros
+     * @param {Number} quantity for example 7.50
+     * @returns {String} for example 7.5
+     */
+    formatQuantity(quantity) {
+        return String(Number(Number(quantity).toFixed(3)));
     }
 
     /**